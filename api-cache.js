@@ -0,0 +1,131 @@
+/**
+ * API Cache
+ * IndexedDB-backed JSON response cache with TTLs and stale-while-revalidate
+ */
+
+class ApiCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'recipeFinderCache';
+        this.storeName = 'responses';
+        this.dbPromise = null;
+
+        // Used when IndexedDB is unavailable (private browsing, old browsers)
+        this.memory = new Map();
+    }
+
+    /**
+     * Open the database once, resolving to null when IndexedDB can't be used
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.error('Failed to open response cache:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Read a cached entry ({ url, data, storedAt }) or null
+     */
+    async get(url) {
+        const db = await this.open();
+        if (!db) return this.memory.get(url) || null;
+
+        return new Promise((resolve) => {
+            const request = db.transaction(this.storeName).objectStore(this.storeName).get(url);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => resolve(null);
+        });
+    }
+
+    /**
+     * Store a response body
+     */
+    async set(url, data) {
+        const entry = { url, data, storedAt: Date.now() };
+        const db = await this.open();
+
+        if (!db) {
+            this.memory.set(url, entry);
+            return;
+        }
+
+        await new Promise((resolve) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(entry);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => {
+                console.error('Failed to cache response:', transaction.error);
+                resolve();
+            };
+        });
+    }
+
+    /**
+     * Fetch JSON through the cache. Fresh entries are returned as-is; stale
+     * entries are returned immediately while a background request refreshes
+     * them; network failures fall back to any cached copy.
+     * Resolves to { data, source } where source is 'network', 'cache', 'stale'
+     * or 'offline' (the network failed and a cached copy was used instead).
+     * An aborted `signal` rejects with the AbortError, never the cached copy.
+     */
+    async fetchJson(url, { ttl = 0, errorMessage = 'Request failed', signal } = {}) {
+        const cached = ttl > 0 ? await this.get(url) : null;
+        const age = cached ? Date.now() - cached.storedAt : Infinity;
+
+        if (cached && age < ttl) {
+            return { data: cached.data, source: 'cache' };
+        }
+
+        if (cached && this.isOnline()) {
+            this.fetchFromNetwork(url, errorMessage)
+                .then(data => this.set(url, data))
+                .catch(error => console.error('Background revalidation failed:', error));
+            return { data: cached.data, source: 'stale' };
+        }
+
+        try {
+            const data = await this.fetchFromNetwork(url, errorMessage, signal);
+            if (ttl > 0) await this.set(url, data);
+            return { data, source: 'network' };
+        } catch (error) {
+            if (cached && error.name !== 'AbortError') return { data: cached.data, source: 'offline' };
+            throw error;
+        }
+    }
+
+    /**
+     * Request JSON from the network
+     */
+    async fetchFromNetwork(url, errorMessage, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) throw new Error(errorMessage);
+        return response.json();
+    }
+
+    /**
+     * Best guess at connectivity
+     */
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ApiCache;
+}
@@ -8,33 +8,92 @@ class PremiumRecipeFinderApp {
         // Application state
         this.state = {
             selectedIngredients: new Set(),
+            // canonical ingredient -> text the user entered, when they differ
+            ingredientOrigins: new Map(),
+            // Ingredients recipes must not contain
+            excludedIngredients: new Set(),
+            // 'ingredients' adds chips from the search box; 'name' searches recipe titles
+            searchMode: 'ingredients',
+            nameQuery: '',
+            // Autocomplete options currently listed and the keyboard-highlighted one
+            suggestions: {
+                items: [],
+                active: -1
+            },
             allRecipes: [],
             filteredRecipes: [],
             isLoading: false,
             error: null,
+            isOffline: typeof navigator !== 'undefined' && navigator.onLine === false,
+            servedFromCache: false,
             currentFilter: {
                 time: '',
+                calories: '',
                 category: '',
-                area: ''
+                area: '',
+                match: 'any'
+            },
+            recipeDetails: new Map(),
+            prefilters: new Map(),
+            hydration: {
+                run: 0,
+                done: 0,
+                total: 0
+            },
+            sortBy: 'relevance',
+            // idMeal -> { recipe, addedAt } snapshots, persisted for offline browsing
+            favorites: new Map(),
+            // Imported and user-written recipes, stored the same way under "local-" ids
+            myRecipes: new Map(),
+            // Recipe editor: the recipe being changed (null for a new one) and its photo
+            editor: {
+                open: false,
+                recipeId: null,
+                image: ''
+            },
+            favoritesView: {
+                query: '',
+                sort: 'newest'
+            },
+            currentView: 'search',
+            planner: {
+                weekStart: null,
+                tray: 'results',
+                randomPicks: [],
+                selection: null,
+                isFilling: false
             },
-            favorites: new Set(),
             currentServings: 4,
-            timerState: {
-                isRunning: false,
-                isPaused: false,
-                timeRemaining: 0,
-                interval: null
-            }
+            baseServings: 4,
+            unitSystem: 'original',
+            // Modal ingredient index -> chosen substitute, and the index whose options are open
+            substitutions: new Map(),
+            substituteMenu: null,
+            cookMode: {
+                active: false,
+                steps: [],
+                index: 0,
+                wakeLock: null
+            },
+            // Length of the next timer started from the timer modal (seconds)
+            timerDraftSeconds: 300
         };
 
-        // API configuration
+        // API configuration. Set window.recipeFinderConfig before app.js loads
+        // to point the app at another data source, e.g.
+        // { provider: 'local', dataUrl: 'data/recipes.json' }
         this.api = {
             baseUrl: "https://www.themealdb.com/api/json/v1/1",
-            endpoints: {
-                filterByIngredient: "/filter.php?i=",
-                getRecipeDetails: "/lookup.php?i=",
-                getRandomRecipe: "/random.php",
-                searchByName: "/search.php?s="
+            provider: 'mealdb',
+            dataUrl: null,
+            ...window.recipeFinderConfig,
+            // Parallel lookup.php requests while hydrating search results
+            lookupConcurrency: 4,
+            // How long cached responses count as fresh (ms)
+            cacheTtl: {
+                filter: 6 * 60 * 60 * 1000,
+                lookup: 7 * 24 * 60 * 60 * 1000,
+                list: 7 * 24 * 60 * 60 * 1000
             }
         };
 
@@ -55,6 +114,7 @@ class PremiumRecipeFinderApp {
             { name: "milk", icon: "🥛" }
         ];
 
+        // Offline fallbacks, replaced by the provider's lists once they load
         this.searchableIngredients = [
             "chicken","pork", "salmon", "shrimp", "tuna", "eggs", "milk", "cheese", 
             "butter", "rice", "pasta", "bread", "potatoes", "onions", "garlic", "tomatoes", 
@@ -62,10 +122,54 @@ class PremiumRecipeFinderApp {
             "lemon", "lime", "olive oil", "salt", "pepper", "basil", "oregano", "thyme"
         ];
 
+        this.categories = [
+            "Beef", "Breakfast", "Chicken", "Dessert", "Lamb", 
+            "Pasta", "Pork", "Seafood", "Starter", "Vegan", "Vegetarian"
+        ];
+
+        this.areas = [
+            "American", "British", "Chinese", "French", "Greek", "Indian", 
+            "Italian", "Japanese", "Mexican", "Spanish", "Thai"
+        ];
+
+        // localStorage keys
+        this.storageKeys = {
+            favorites: 'recipeFinder:favorites',
+            unitSystem: 'recipeFinder:unitSystem',
+            shoppingList: 'recipeFinder:shoppingList',
+            mealPlan: 'recipeFinder:mealPlan',
+            pantry: 'recipeFinder:pantry',
+            dietaryProfile: 'recipeFinder:dietaryProfile',
+            timers: 'recipeFinder:timers',
+            myRecipes: 'recipeFinder:myRecipes'
+        };
+
+        // MealDB recipes don't state a yield; treat them as serving four
+        this.defaultServings = 4;
+
+        // Helpers
+        this.apiCache = new ApiCache();
+        this.myRecipeProvider = new LocalRecipeProvider({ meals: [] });
+        this.recipeProvider = this.createRecipeProvider();
+        this.measureParser = new MeasureParser();
+        this.unitConverter = new UnitConverter();
+        this.timeEstimator = new CookingTimeEstimator();
+        this.timeEstimates = new Map();
+        this.ingredientNormalizer = new IngredientNormalizer(this.searchableIngredients);
+        this.nutritionEstimator = new NutritionEstimator(this.ingredientNormalizer, this.unitConverter);
+        this.nutritionEstimates = new Map();
+        this.ingredientAutocomplete = new IngredientAutocomplete(this.ingredientNormalizer);
+        this.substitutionGuide = new SubstitutionGuide(this.ingredientNormalizer);
+        this.recipeFormats = new RecipeFormats(this.measureParser);
+
         // Component references
         this.currentRecipe = null;
         this.debounceTimer = null;
         this.searchPromise = null;
+        this.nameSearchController = null;
+        this.hydrationRenderTimer = null;
+        this.timerTicker = null;
+        this.audioContext = null;
 
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -80,9 +184,22 @@ class PremiumRecipeFinderApp {
      */
     init() {
         try {
+            this.loadFavorites();
+            this.loadMyRecipes();
+            this.loadUnitSystem();
+            this.loadShoppingList();
+            this.loadMealPlan();
+            this.loadPantry();
+            this.loadDietaryProfile();
+            this.loadTimers();
             this.setupComponents();
             this.bindEvents();
+            this.renderTimerDock();
+            this.tickTimers();
             this.renderEmptyState();
+            this.restoreFromUrl();
+            this.updateOfflineBanner();
+            this.registerServiceWorker();
             console.log('🍳 Recipe Finder initialized successfully!');
         } catch (error) {
             console.error('Failed to initialize application:', error);
@@ -95,6 +212,7 @@ class PremiumRecipeFinderApp {
     setupComponents() {
         this.setupQuickIngredients();
         this.setupFilterOptions();
+        this.setupDietOptions();
     }
 
     /**
@@ -116,35 +234,85 @@ class PremiumRecipeFinderApp {
      * Setup filter dropdown options
      */
     setupFilterOptions() {
-        const categories = [
-            "prawn", "Breakfast", "Chicken", "Dessert", "Lamb", 
-            "Pasta", "Pork", "Seafood", "Starter", "Vegan", "Vegetarian"
-        ];
-        
-        const areas = [
-            "American", "British", "Chinese", "French", "Greek", "Indian", 
-            "Italian", "Japanese", "Mexican", "Spanish", "Thai"
-        ];
+        this.populateSelect('category-filter', this.categories);
+        this.populateSelect('area-filter', this.areas);
+        this.loadVocabulary();
+    }
 
-        const categorySelect = document.getElementById('category-filter');
-        if (categorySelect) {
-            categories.forEach(category => {
-                const option = document.createElement('option');
-                option.value = category;
-                option.textContent = category;
-                categorySelect.appendChild(option);
-            });
+    /**
+     * Render the dietary profile checkboxes and saved allergens
+     */
+    setupDietOptions() {
+        const container = document.getElementById('diet-options');
+        if (container) {
+            container.innerHTML = Object.entries(this.dietaryProfile.diets).map(([diet, { label }]) => 
+                `<label class="diet-option">
+                    <input type="checkbox" value="${diet}" ${this.dietaryProfile.active.has(diet) ? 'checked' : ''}>
+                    <span>${label}</span>
+                </label>`
+            ).join('');
         }
 
-        const areaSelect = document.getElementById('area-filter');
-        if (areaSelect) {
-            areas.forEach(area => {
-                const option = document.createElement('option');
-                option.value = area;
-                option.textContent = area;
-                areaSelect.appendChild(option);
-            });
+        const allergenInput = document.getElementById('allergen-input');
+        if (allergenInput) allergenInput.value = this.dietaryProfile.allergens.join(', ');
+    }
+
+    /**
+     * Replace a filter dropdown's options, keeping its placeholder and selection
+     */
+    populateSelect(selectId, values) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        // An active filter stays selectable even if the new list lacks it
+        const selected = select.value;
+        const options = selected && !values.includes(selected) ? [selected, ...values] : values;
+
+        Array.from(select.options)
+            .filter(option => option.value !== '')
+            .forEach(option => option.remove());
+
+        options.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            select.appendChild(option);
+        });
+
+        select.value = selected;
+    }
+
+    /**
+     * Load categories, areas and the ingredient vocabulary from the provider.
+     * Lists that fail to load keep their built-in fallback.
+     */
+    async loadVocabulary() {
+        const [categories, areas, ingredients] = await Promise.allSettled([
+            this.recipeProvider.listCategories(),
+            this.recipeProvider.listAreas(),
+            this.recipeProvider.listIngredients()
+        ]);
+
+        if (categories.status === 'fulfilled' && categories.value.length > 0) {
+            this.categories = categories.value;
+            this.populateSelect('category-filter', this.categories);
+        }
+
+        if (areas.status === 'fulfilled' && areas.value.length > 0) {
+            this.areas = areas.value;
+            this.populateSelect('area-filter', this.areas);
+        }
+
+        if (ingredients.status === 'fulfilled' && ingredients.value.length > 0) {
+            this.searchableIngredients = [...new Set(
+                ingredients.value.map(name => name.trim().toLowerCase()).filter(Boolean)
+            )];
+            this.ingredientNormalizer.setVocabulary(this.searchableIngredients);
         }
+
+        [categories, areas, ingredients]
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error('Failed to load vocabulary:', result.reason));
     }
 
     /**
@@ -172,6 +340,64 @@ class PremiumRecipeFinderApp {
         if (searchInput) {
             searchInput.addEventListener('input', (e) => this.handleSearchInput(e));
             searchInput.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+            searchInput.addEventListener('blur', () => this.hideSuggestions());
+        }
+
+        // Suggestions use mousedown so the input keeps focus until one is picked
+        const suggestionList = document.getElementById('ingredient-suggestions');
+        if (suggestionList) {
+            suggestionList.addEventListener('mousedown', (e) => {
+                const item = e.target.closest('.suggestion-item');
+                if (!item) return;
+                e.preventDefault();
+                this.acceptSuggestion(item.dataset.ingredient);
+            });
+        }
+
+        // Search mode switch
+        const searchModeToggle = document.getElementById('search-mode-toggle');
+        if (searchModeToggle) {
+            searchModeToggle.addEventListener('click', (e) => {
+                const btn = e.target.closest('.unit-btn');
+                if (btn) this.setSearchMode(btn.dataset.mode);
+            });
+        }
+
+        // Excluded ingredients
+        const excludeForm = document.getElementById('exclude-form');
+        if (excludeForm) {
+            excludeForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = excludeForm.elements['exclude-name'];
+                this.addExclusion(input.value);
+                input.value = '';
+            });
+        }
+
+        const excludedChips = document.getElementById('excluded-chips');
+        if (excludedChips) {
+            excludedChips.addEventListener('click', (e) => {
+                const btn = e.target.closest('.chip-remove');
+                if (btn) this.removeExclusion(btn.dataset.ingredient);
+            });
+        }
+
+        // Dietary profile
+        const dietOptions = document.getElementById('diet-options');
+        if (dietOptions) {
+            dietOptions.addEventListener('change', (e) => {
+                this.dietaryProfile.setDiet(e.target.value, e.target.checked);
+                this.saveDietaryProfile();
+            });
+        }
+
+        const allergenInput = document.getElementById('allergen-input');
+        if (allergenInput) {
+            allergenInput.addEventListener('change', () => {
+                this.dietaryProfile.setAllergens(allergenInput.value.split(','));
+                allergenInput.value = this.dietaryProfile.allergens.join(', ');
+                this.saveDietaryProfile();
+            });
         }
 
         // Clear ingredients
@@ -182,12 +408,71 @@ class PremiumRecipeFinderApp {
 
         // Filters
         const timeFilter = document.getElementById('time-filter');
+        const caloriesFilter = document.getElementById('calories-filter');
         const categoryFilter = document.getElementById('category-filter');
         const areaFilter = document.getElementById('area-filter');
+        const matchFilter = document.getElementById('match-filter');
         
         if (timeFilter) timeFilter.addEventListener('change', (e) => this.handleFilterChange(e));
+        if (caloriesFilter) caloriesFilter.addEventListener('change', (e) => this.handleFilterChange(e));
         if (categoryFilter) categoryFilter.addEventListener('change', (e) => this.handleFilterChange(e));
         if (areaFilter) areaFilter.addEventListener('change', (e) => this.handleFilterChange(e));
+        if (matchFilter) matchFilter.addEventListener('change', (e) => this.handleFilterChange(e));
+
+        // Sort order
+        const sortSelect = document.getElementById('sort-select');
+        if (sortSelect) {
+            sortSelect.addEventListener('change', (e) => this.handleSortChange(e));
+        }
+
+        // View tabs
+        const viewTabs = document.getElementById('view-tabs');
+        if (viewTabs) {
+            viewTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.view-tab');
+                if (tab) this.switchView(tab.dataset.view);
+            });
+        }
+
+        // Favorites view
+        const favoritesSearch = document.getElementById('favorites-search');
+        const favoritesSort = document.getElementById('favorites-sort');
+        if (favoritesSearch) {
+            favoritesSearch.addEventListener('input', (e) => {
+                this.state.favoritesView.query = e.target.value.trim().toLowerCase();
+                this.renderFavorites();
+            });
+        }
+        if (favoritesSort) {
+            favoritesSort.addEventListener('change', (e) => {
+                this.state.favoritesView.sort = e.target.value;
+                this.renderFavorites();
+            });
+        }
+
+        // Recipe export menus (modal and favorites)
+        document.querySelectorAll('.export-menu').forEach(menu => {
+            menu.addEventListener('click', (e) => {
+                const option = e.target.closest('[data-export]');
+                if (!option) return;
+
+                menu.open = false;
+                if (menu.dataset.scope === 'favorites') {
+                    this.exportFavorites(option.dataset.export);
+                } else {
+                    this.exportCurrentRecipe(option.dataset.export);
+                }
+            });
+        });
+
+        // My recipes view
+        const importInput = document.getElementById('my-recipes-import');
+        if (importInput) {
+            importInput.addEventListener('change', async (e) => {
+                await this.importRecipeFiles(Array.from(e.target.files));
+                e.target.value = '';
+            });
+        }
 
         // Random recipe
         const randomBtn = document.getElementById('random-recipe');
@@ -212,14 +497,49 @@ class PremiumRecipeFinderApp {
         // Timer actions
         this.bindTimerActions();
 
+        // Shopping list actions
+        this.bindShoppingListActions();
+
+        // Meal planner actions
+        this.bindPlannerActions();
+
+        // Pantry actions
+        this.bindPantryActions();
+        this.bindCookModeActions();
+        this.bindRecipeEditorActions();
+
         // Retry button
         const retryBtn = document.getElementById('retry-button');
         if (retryBtn) {
             retryBtn.addEventListener('click', () => this.retrySearch());
         }
 
+        // Connectivity
+        window.addEventListener('online', () => {
+            this.state.isOffline = false;
+            this.state.servedFromCache = false;
+            this.updateOfflineBanner();
+        });
+        window.addEventListener('offline', () => {
+            this.state.isOffline = true;
+            this.updateOfflineBanner();
+        });
+
+        // Back/forward restore the search and open recipe from the URL
+        window.addEventListener('popstate', () => this.restoreFromUrl());
+
         // Global events
         document.addEventListener('keydown', (e) => {
+            if (this.state.cookMode.active) {
+                this.handleCookModeKeydown(e);
+                return;
+            }
+
+            if (e.key === 'Escape' && this.state.editor.open) {
+                this.closeRecipeEditor();
+                return;
+            }
+
             if (e.key === 'Escape') {
                 this.closeModal();
                 this.hideTimerModal();
@@ -243,14 +563,321 @@ class PremiumRecipeFinderApp {
         const decreaseBtn = document.getElementById('decrease-serving');
         const increaseBtn = document.getElementById('increase-serving');
         const timerBtn = document.getElementById('start-timer');
+        const cookModeBtn = document.getElementById('cook-mode-btn');
         const favoriteBtn = document.getElementById('favorite-btn');
         const shareBtn = document.getElementById('share-btn');
+        const shoppingBtn = document.getElementById('shopping-btn');
+        const unitToggle = document.getElementById('unit-toggle');
 
         if (decreaseBtn) decreaseBtn.addEventListener('click', () => this.adjustServings(-1));
         if (increaseBtn) increaseBtn.addEventListener('click', () => this.adjustServings(1));
         if (timerBtn) timerBtn.addEventListener('click', () => this.showTimerModal());
+        if (cookModeBtn) cookModeBtn.addEventListener('click', () => this.enterCookMode());
         if (favoriteBtn) favoriteBtn.addEventListener('click', () => this.toggleFavorite());
         if (shareBtn) shareBtn.addEventListener('click', () => this.shareRecipe());
+        if (shoppingBtn) shoppingBtn.addEventListener('click', () => this.addCurrentRecipeToShoppingList());
+        if (unitToggle) {
+            unitToggle.addEventListener('click', (e) => {
+                const btn = e.target.closest('.unit-btn');
+                if (btn) this.setUnitSystem(btn.dataset.system);
+            });
+        }
+
+        const ingredientsList = document.getElementById('modal-ingredients');
+        if (ingredientsList) {
+            ingredientsList.addEventListener('click', (e) => {
+                const option = e.target.closest('.substitute-option');
+                const toggle = e.target.closest('.substitute-btn');
+
+                if (option) {
+                    this.chooseSubstitute(Number(option.dataset.index), Number(option.dataset.option));
+                } else if (toggle && toggle.dataset.action === 'revert') {
+                    this.chooseSubstitute(Number(toggle.dataset.index), null);
+                } else if (toggle) {
+                    this.toggleSubstituteMenu(Number(toggle.dataset.index));
+                }
+            });
+        }
+
+        const instructionsContainer = document.getElementById('modal-instructions');
+        if (instructionsContainer) {
+            instructionsContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('.duration-chip');
+                if (chip) this.startStepTimer(chip.dataset);
+            });
+        }
+    }
+
+    /**
+     * Bind recipe editor events
+     */
+    bindRecipeEditorActions() {
+        const form = document.getElementById('recipe-editor-form');
+        const overlay = document.getElementById('recipe-editor');
+        const newBtn = document.getElementById('my-recipes-new');
+        const editBtn = document.getElementById('edit-recipe-btn');
+        const imageInput = document.getElementById('editor-image');
+        const ingredientsList = document.getElementById('editor-ingredients');
+
+        if (newBtn) newBtn.addEventListener('click', () => this.openRecipeEditor());
+        if (editBtn) {
+            editBtn.addEventListener('click', () => {
+                if (this.currentRecipe) this.openRecipeEditor(this.currentRecipe.idMeal);
+            });
+        }
+        if (overlay) {
+            overlay.addEventListener('click', (e) => {
+                if (e.target === overlay) this.closeRecipeEditor();
+            });
+        }
+
+        if (imageInput) {
+            imageInput.addEventListener('change', async (e) => {
+                if (e.target.files[0]) await this.setEditorImage(e.target.files[0]);
+                e.target.value = '';
+            });
+        }
+
+        if (ingredientsList) {
+            ingredientsList.addEventListener('click', (e) => {
+                const btn = e.target.closest('.item-remove');
+                if (btn) btn.closest('.editor-ingredient').remove();
+            });
+        }
+
+        if (!form) return;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRecipeEditor();
+        });
+
+        form.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            if (btn.id === 'editor-add-ingredient') {
+                this.addEditorIngredientRow()?.querySelector('.editor-measure').focus();
+            } else if (btn.id === 'editor-image-remove') {
+                this.state.editor.image = '';
+                this.updateEditorImage();
+            } else if (btn.id === 'editor-close' || btn.id === 'editor-cancel') {
+                this.closeRecipeEditor();
+            } else if (btn.id === 'editor-delete' && confirm('Delete this recipe?')) {
+                const { recipeId } = this.state.editor;
+                this.closeRecipeEditor();
+                this.deleteMyRecipe(recipeId);
+            }
+        });
+    }
+
+    /**
+     * Bind shopping list view events
+     */
+    bindShoppingListActions() {
+        const list = document.getElementById('shopping-list');
+        const exportText = document.getElementById('shopping-export-text');
+        const exportMarkdown = document.getElementById('shopping-export-md');
+        const clearChecked = document.getElementById('shopping-clear-checked');
+        const clearAll = document.getElementById('shopping-clear-all');
+
+        if (list) {
+            list.addEventListener('change', (e) => {
+                if (e.target.matches('.shopping-check')) {
+                    this.shoppingList.toggle(e.target.dataset.key);
+                    this.saveShoppingList();
+                }
+            });
+            list.addEventListener('click', (e) => {
+                const btn = e.target.closest('.item-remove');
+                if (btn) {
+                    this.shoppingList.remove(btn.dataset.key);
+                    this.saveShoppingList();
+                }
+            });
+        }
+
+        if (exportText) exportText.addEventListener('click', () => this.exportShoppingList('text'));
+        if (exportMarkdown) exportMarkdown.addEventListener('click', () => this.exportShoppingList('markdown'));
+        if (clearChecked) {
+            clearChecked.addEventListener('click', () => {
+                this.shoppingList.clearChecked();
+                this.saveShoppingList();
+            });
+        }
+        if (clearAll) {
+            clearAll.addEventListener('click', () => {
+                this.shoppingList.clear();
+                this.saveShoppingList();
+            });
+        }
+    }
+
+    /**
+     * Bind meal planner events, including drag and drop between the tray and slots
+     */
+    bindPlannerActions() {
+        const planner = document.getElementById('planner-section');
+        if (!planner) return;
+
+        const actions = {
+            'planner-prev': () => this.shiftPlannerWeek(-1),
+            'planner-next': () => this.shiftPlannerWeek(1),
+            'planner-today': () => this.shiftPlannerWeek(0),
+            'planner-fill': () => this.fillEmptySlots(),
+            'planner-shopping': () => this.addWeekToShoppingList(),
+            'planner-clear': () => this.clearPlannerWeek(),
+            'planner-random': () => this.addRandomToTray()
+        };
+
+        planner.addEventListener('click', (e) => {
+            const action = e.target.closest('button[id]');
+            if (action && actions[action.id]) {
+                actions[action.id]();
+                return;
+            }
+
+            const trayTab = e.target.closest('.tray-tab');
+            if (trayTab) {
+                this.state.planner.tray = trayTab.dataset.tray;
+                this.renderPlannerTray();
+                return;
+            }
+
+            const remove = e.target.closest('.slot-remove');
+            if (remove) {
+                e.stopPropagation();
+                this.mealPlanner.clearSlot(remove.dataset.slot);
+                this.saveMealPlan();
+                return;
+            }
+
+            const trayItem = e.target.closest('.tray-item');
+            if (trayItem) {
+                const id = trayItem.dataset.recipeId;
+                this.state.planner.selection = this.state.planner.selection === id ? null : id;
+                this.renderPlannerTray();
+                return;
+            }
+
+            const slot = e.target.closest('.plan-slot');
+            if (slot) {
+                if (this.state.planner.selection) {
+                    this.placeRecipeInSlot(slot.dataset.slot, this.state.planner.selection);
+                    this.state.planner.selection = null;
+                } else if (this.mealPlanner.getSlot(slot.dataset.slot)) {
+                    this.showRecipeModal(this.mealPlanner.getSlot(slot.dataset.slot).idMeal);
+                }
+            }
+        });
+
+        planner.addEventListener('dragstart', (e) => {
+            const source = e.target.closest('[data-drag-recipe]');
+            if (!source) return;
+
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', JSON.stringify({
+                recipeId: source.dataset.dragRecipe,
+                fromSlot: source.dataset.fromSlot || null
+            }));
+        });
+
+        planner.addEventListener('dragover', (e) => {
+            const slot = e.target.closest('.plan-slot');
+            if (!slot) return;
+            e.preventDefault();
+            slot.classList.add('drag-over');
+        });
+
+        planner.addEventListener('dragleave', (e) => {
+            const slot = e.target.closest('.plan-slot');
+            if (slot && !slot.contains(e.relatedTarget)) slot.classList.remove('drag-over');
+        });
+
+        planner.addEventListener('drop', (e) => {
+            const slot = e.target.closest('.plan-slot');
+            if (!slot) return;
+            e.preventDefault();
+            slot.classList.remove('drag-over');
+
+            try {
+                const { recipeId, fromSlot } = JSON.parse(e.dataTransfer.getData('text/plain'));
+                this.placeRecipeInSlot(slot.dataset.slot, recipeId, fromSlot);
+            } catch (error) {
+                console.error('Invalid planner drop:', error);
+            }
+        });
+    }
+
+    /**
+     * Bind pantry view events
+     */
+    bindPantryActions() {
+        const form = document.getElementById('pantry-form');
+        const list = document.getElementById('pantry-list');
+
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const name = form.elements['pantry-name'].value;
+                const quantity = form.elements['pantry-quantity'].value.trim();
+                const expires = form.elements['pantry-expires'].value || null;
+
+                if (this.pantry.add(name, quantity, expires)) {
+                    form.reset();
+                    form.elements['pantry-name'].focus();
+                    this.savePantry();
+                }
+            });
+        }
+
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const btn = e.target.closest('.item-remove');
+                if (btn) {
+                    this.pantry.remove(btn.dataset.id);
+                    this.savePantry();
+                }
+            });
+        }
+    }
+
+    /**
+     * Bind cook mode navigation: buttons, step timers, keys and swipes
+     */
+    bindCookModeActions() {
+        const overlay = document.getElementById('cook-mode');
+        if (!overlay) return;
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target.closest('#cook-exit')) this.exitCookMode();
+            if (e.target.closest('#cook-prev')) this.goToCookStep(this.state.cookMode.index - 1);
+            if (e.target.closest('#cook-next')) this.goToCookStep(this.state.cookMode.index + 1);
+
+            const timerBtn = e.target.closest('.step-timer-btn');
+            if (timerBtn) this.startStepTimer(timerBtn.dataset);
+        });
+
+        let touchStart = null;
+        overlay.addEventListener('touchstart', (e) => {
+            touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+        }, { passive: true });
+        overlay.addEventListener('touchend', (e) => {
+            if (!touchStart) return;
+            const dx = e.changedTouches[0].clientX - touchStart.x;
+            const dy = e.changedTouches[0].clientY - touchStart.y;
+            touchStart = null;
+
+            // Mostly-horizontal swipes only, so scrolling a long step still works
+            if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                this.goToCookStep(this.state.cookMode.index + (dx < 0 ? 1 : -1));
+            }
+        });
+
+        // The screen lock is released whenever the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.state.cookMode.active) this.requestWakeLock();
+        });
     }
 
     /**
@@ -259,20 +886,33 @@ class PremiumRecipeFinderApp {
     bindTimerActions() {
         const timerClose = document.getElementById('timer-close');
         const timerStart = document.getElementById('timer-start');
-        const timerPause = document.getElementById('timer-pause');
-        const timerReset = document.getElementById('timer-reset');
+        const timerMinus = document.getElementById('timer-minus');
+        const timerPlus = document.getElementById('timer-plus');
+        const timerDock = document.getElementById('timer-dock');
 
         if (timerClose) timerClose.addEventListener('click', () => this.hideTimerModal());
-        if (timerStart) timerStart.addEventListener('click', () => this.startTimer());
-        if (timerPause) timerPause.addEventListener('click', () => this.pauseTimer());
-        if (timerReset) timerReset.addEventListener('click', () => this.resetTimer());
+        if (timerStart) timerStart.addEventListener('click', () => this.startTimerFromModal());
+        if (timerMinus) timerMinus.addEventListener('click', () => this.setTimerDraft(this.state.timerDraftSeconds - 60));
+        if (timerPlus) timerPlus.addEventListener('click', () => this.setTimerDraft(this.state.timerDraftSeconds + 60));
 
         document.querySelectorAll('.preset-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const time = parseInt(e.target.dataset.time);
-                this.setTimer(time);
+                this.setTimerDraft(time);
             });
         });
+
+        if (timerDock) {
+            timerDock.addEventListener('click', (e) => {
+                if (e.target.closest('#timer-dock-add')) {
+                    this.showTimerModal();
+                    return;
+                }
+
+                const btn = e.target.closest('.dock-timer-btn');
+                if (btn) this.handleTimerAction(btn.closest('.dock-timer').dataset.id, btn.dataset.action);
+            });
+        }
     }
 
     // ===== INGREDIENT MANAGEMENT =====
@@ -284,6 +924,12 @@ class PremiumRecipeFinderApp {
         const value = e.target.value.trim().toLowerCase();
         
         if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        this.state.suggestions.active = -1;
+
+        if (this.state.searchMode === 'name') {
+            this.debounceTimer = setTimeout(() => this.searchRecipesByName(value), 400);
+            return;
+        }
         
         this.debounceTimer = setTimeout(() => {
             if (value.length >= 2) {
@@ -298,11 +944,36 @@ class PremiumRecipeFinderApp {
      * Handle search keydown
      */
     handleSearchKeydown(e) {
-        if (e.key === 'Enter') {
+        if (this.state.searchMode === 'name') {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                if (this.debounceTimer) clearTimeout(this.debounceTimer);
+                this.searchRecipesByName(e.target.value.trim().toLowerCase());
+            }
+            return;
+        }
+
+        const { items, active } = this.state.suggestions;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (items.length === 0) return;
             e.preventDefault();
+            this.moveActiveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+        } else if (e.key === 'Tab') {
+            // Tab accepts the highlighted (or top) suggestion; otherwise it moves focus as usual
+            if (items.length === 0) return;
+            e.preventDefault();
+            this.acceptSuggestion(items[Math.max(active, 0)]);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (active >= 0) {
+                this.acceptSuggestion(items[active]);
+                return;
+            }
+
             const value = e.target.value.trim();
             if (value) {
-                this.addIngredient(value);
+                this.addIngredient(this.resolveTypedIngredient(value), { origin: value });
                 e.target.value = '';
                 this.hideSuggestions();
             }
@@ -311,60 +982,159 @@ class PremiumRecipeFinderApp {
         }
     }
 
+    /**
+     * Switch the search box between adding ingredients and searching recipe names
+     */
+    setSearchMode(mode) {
+        if (mode !== 'ingredients' && mode !== 'name') return;
+        if (mode === this.state.searchMode) return;
+
+        this.state.searchMode = mode;
+        this.state.nameQuery = '';
+        if (this.debounceTimer) clearTimeout(this.debounceTimer);
+        this.hideSuggestions();
+        this.updateSearchModeToggle();
+
+        const input = document.getElementById('ingredient-input');
+        if (input) input.focus();
+
+        this.runSearch();
+    }
+
+    /**
+     * Reflect the search mode on the toggle and the search box
+     */
+    updateSearchModeToggle() {
+        const mode = this.state.searchMode;
+
+        document.querySelectorAll('#search-mode-toggle .unit-btn').forEach(btn => {
+            const active = btn.dataset.mode === mode;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active.toString());
+        });
+
+        const input = document.getElementById('ingredient-input');
+        if (input) {
+            input.value = this.state.nameQuery;
+            input.placeholder = mode === 'name'
+                ? 'Search recipes by name (e.g., lasagne, curry, pancakes)...'
+                : 'Type an ingredient (e.g., chicken, tomatoes, rice)...';
+        }
+    }
+
     /**
      * Show ingredient suggestions
      */
     showSuggestions(query) {
-        const suggestions = this.searchableIngredients
-            .filter(ingredient => 
-                ingredient.toLowerCase().includes(query) && 
-                !this.state.selectedIngredients.has(ingredient.toLowerCase())
-            )
-            .slice(0, 6);
+        const candidates = this.searchableIngredients.filter(ingredient => 
+            !this.state.selectedIngredients.has(ingredient.toLowerCase())
+        );
+        const matches = this.ingredientAutocomplete.rank(query, candidates);
 
         const container = document.getElementById('ingredient-suggestions');
+        const input = document.getElementById('ingredient-input');
         if (!container) return;
         
-        if (suggestions.length > 0) {
-            container.innerHTML = suggestions.map(ingredient => 
-                `<div class="suggestion-item" data-ingredient="${ingredient}">
-                    ${ingredient}
+        if (matches.length > 0) {
+            this.state.suggestions = { items: matches.map(match => match.value), active: -1 };
+
+            container.innerHTML = matches.map((match, i) => 
+                `<div class="suggestion-item" id="ingredient-suggestion-${i}" role="option" aria-selected="false" data-ingredient="${this.escapeHtml(match.value)}">
+                    ${this.highlightIndices(match.value, match.indices)}
                 </div>`
             ).join('');
             
             container.classList.remove('hidden');
-            
-            // Add click handlers
-            container.querySelectorAll('.suggestion-item').forEach(item => {
-                item.addEventListener('click', () => {
-                    this.addIngredient(item.dataset.ingredient);
-                    document.getElementById('ingredient-input').value = '';
-                    this.hideSuggestions();
-                });
-            });
+            if (input) input.setAttribute('aria-expanded', 'true');
         } else {
             this.hideSuggestions();
         }
     }
 
     /**
-     * Hide suggestions
+     * Move the keyboard highlight through the suggestions, wrapping at either end
      */
-    hideSuggestions() {
-        const container = document.getElementById('ingredient-suggestions');
-        if (container) container.classList.add('hidden');
+    moveActiveSuggestion(step) {
+        const suggestions = this.state.suggestions;
+        const count = suggestions.items.length;
+        suggestions.active = suggestions.active === -1
+            ? (step > 0 ? 0 : count - 1)
+            : (suggestions.active + step + count) % count;
+
+        const input = document.getElementById('ingredient-input');
+        document.querySelectorAll('#ingredient-suggestions .suggestion-item').forEach((item, i) => {
+            const active = i === suggestions.active;
+            item.classList.toggle('highlighted', active);
+            item.setAttribute('aria-selected', active.toString());
+            if (active) item.scrollIntoView({ block: 'nearest' });
+        });
+        if (input) input.setAttribute('aria-activedescendant', `ingredient-suggestion-${suggestions.active}`);
     }
 
     /**
-     * Add ingredient to state
+     * Add a suggested ingredient and reset the input
      */
-    addIngredient(ingredient) {
-        const normalizedIngredient = ingredient.toLowerCase().trim();
-        
+    acceptSuggestion(ingredient) {
+        this.addIngredient(ingredient);
+
+        const input = document.getElementById('ingredient-input');
+        if (input) input.value = '';
+        this.hideSuggestions();
+    }
+
+    /**
+     * Typed text as a known ingredient: its canonical name when the vocabulary
+     * has it, else the top suggestion (correcting typos), else as typed
+     */
+    resolveTypedIngredient(text) {
+        const canonical = this.ingredientNormalizer.canonicalize(text);
+        if (!canonical || this.searchableIngredients.includes(canonical)) return canonical;
+
+        const [best] = this.ingredientAutocomplete.rank(text, this.searchableIngredients, 1);
+        return best ? best.value : canonical;
+    }
+
+    /**
+     * Wrap the characters at `indices` in <mark>
+     */
+    highlightIndices(text, indices) {
+        const marked = new Set(indices);
+        return Array.from(text)
+            .map((char, i) => marked.has(i) ? `<mark>${this.escapeHtml(char)}</mark>` : this.escapeHtml(char))
+            .join('')
+            .replace(/<\/mark><mark>/g, '');
+    }
+
+    /**
+     * Hide suggestions
+     */
+    hideSuggestions() {
+        this.state.suggestions = { items: [], active: -1 };
+
+        const container = document.getElementById('ingredient-suggestions');
+        if (container) container.classList.add('hidden');
+
+        const input = document.getElementById('ingredient-input');
+        if (input) {
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Add ingredient to state. `origin` is what the user typed, remembered
+     * for the chip's tooltip when it differs from the name that was added.
+     */
+    addIngredient(ingredient, { origin = ingredient } = {}) {
+        const normalizedIngredient = this.ingredientNormalizer.canonicalize(ingredient);
+        
         if (normalizedIngredient && !this.state.selectedIngredients.has(normalizedIngredient)) {
             this.state.selectedIngredients.add(normalizedIngredient);
+            if (normalizedIngredient !== origin.trim().toLowerCase()) {
+                this.state.ingredientOrigins.set(normalizedIngredient, origin.trim());
+            }
             this.updateIngredientChips();
-            this.searchRecipes();
+            this.runSearch();
         }
     }
 
@@ -373,13 +1143,9 @@ class PremiumRecipeFinderApp {
      */
     removeIngredient(ingredient) {
         this.state.selectedIngredients.delete(ingredient);
+        this.state.ingredientOrigins.delete(ingredient);
         this.updateIngredientChips();
-        
-        if (this.state.selectedIngredients.size > 0) {
-            this.searchRecipes();
-        } else {
-            this.renderEmptyState();
-        }
+        this.runSearch();
     }
 
     /**
@@ -387,12 +1153,9 @@ class PremiumRecipeFinderApp {
      */
     clearAllIngredients() {
         this.state.selectedIngredients.clear();
-        this.state.allRecipes = [];
-        this.state.filteredRecipes = [];
-        this.state.error = null;
-        
+        this.state.ingredientOrigins.clear();
         this.updateIngredientChips();
-        this.renderEmptyState();
+        this.runSearch();
     }
 
     /**
@@ -415,14 +1178,16 @@ class PremiumRecipeFinderApp {
             `;
         } else {
             // Show ingredient chips
-            const chips = Array.from(this.state.selectedIngredients).map(ingredient => 
-                `<div class="ingredient-chip">
-                    <span class="chip-text">${ingredient}</span>
-                    <button class="chip-remove" data-ingredient="${ingredient}" type="button" aria-label="Remove ${ingredient}">
+            const chips = Array.from(this.state.selectedIngredients).map(ingredient => {
+                const name = this.escapeHtml(ingredient);
+                return `<div class="ingredient-chip"${this.state.ingredientOrigins.has(ingredient)
+                    ? ` title="You entered “${this.escapeHtml(this.state.ingredientOrigins.get(ingredient))}”"` : ''}>
+                    <span class="chip-text">${name}</span>
+                    <button class="chip-remove" data-ingredient="${name}" type="button" aria-label="Remove ${name}">
                         ×
                     </button>
-                </div>`
-            ).join('');
+                </div>`;
+            }).join('');
             
             container.innerHTML = chips;
             
@@ -436,43 +1201,170 @@ class PremiumRecipeFinderApp {
         }
     }
 
+    // ===== EXCLUSIONS & DIETARY PROFILE =====
+
+    /**
+     * Exclude an ingredient from results
+     */
+    addExclusion(ingredient) {
+        const normalizedIngredient = this.ingredientNormalizer.canonicalize(ingredient);
+        if (!normalizedIngredient || this.state.excludedIngredients.has(normalizedIngredient)) return;
+
+        this.state.excludedIngredients.add(normalizedIngredient);
+        this.updateExcludedChips();
+        this.refreshRestrictions();
+    }
+
+    /**
+     * Allow an excluded ingredient again
+     */
+    removeExclusion(ingredient) {
+        this.state.excludedIngredients.delete(ingredient);
+        this.updateExcludedChips();
+        this.refreshRestrictions();
+    }
+
+    /**
+     * Render the excluded ingredient chips
+     */
+    updateExcludedChips() {
+        const container = document.getElementById('excluded-chips');
+        if (!container) return;
+
+        container.innerHTML = Array.from(this.state.excludedIngredients).map(ingredient => {
+            const name = this.escapeHtml(ingredient);
+            return `<div class="ingredient-chip excluded-chip">
+                <span class="chip-text">${name}</span>
+                <button class="chip-remove" data-ingredient="${name}" type="button" aria-label="Allow ${name} again">
+                    ×
+                </button>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Load the saved dietary profile
+     */
+    loadDietaryProfile() {
+        const profile = this.loadFromStorage(this.storageKeys.dietaryProfile, {});
+        this.dietaryProfile = new DietaryProfile(this.ingredientNormalizer, profile || {});
+    }
+
+    /**
+     * Persist the dietary profile and refresh what depends on it
+     */
+    saveDietaryProfile() {
+        this.saveToStorage(this.storageKeys.dietaryProfile, this.dietaryProfile.toJSON());
+        this.refreshRestrictions();
+    }
+
+    /**
+     * Re-filter results and the open recipe after exclusions or the profile change
+     */
+    refreshRestrictions() {
+        this.updateUrl();
+        if (this.state.allRecipes.length > 0 && !this.state.isLoading) this.applyFilters();
+        if (this.currentRecipe) this.renderModalIngredients();
+    }
+
+    /**
+     * Whether exclusions or the dietary profile restrict results
+     */
+    hasIngredientRestrictions() {
+        return this.state.excludedIngredients.size > 0 || !this.dietaryProfile.isEmpty();
+    }
+
+    /**
+     * Reasons a recipe ingredient is off-limits, e.g. ["Vegan", "No mushrooms"]
+     */
+    getIngredientConflicts(name) {
+        const excluded = Array.from(this.state.excludedIngredients)
+            .filter(term => this.ingredientMatches(name, term))
+            .map(term => `No ${term}`);
+        return [...this.dietaryProfile.getConflicts(name), ...excluded];
+    }
+
+    /**
+     * Check a hydrated recipe for any off-limits ingredient
+     */
+    hasConflictingIngredients(recipe) {
+        return this.extractIngredients(recipe)
+            .some(({ name }) => this.getIngredientConflicts(name).length > 0);
+    }
+
     // ===== RECIPE SEARCH =====
 
+    /**
+     * Re-run whichever search the current mode uses
+     */
+    runSearch() {
+        if (this.state.searchMode === 'name') {
+            this.searchRecipesByName(this.state.nameQuery);
+        } else {
+            this.searchRecipes();
+        }
+    }
+
+    /**
+     * Drop the current results and show the empty state
+     */
+    resetResults() {
+        this.cancelNameSearch();
+        this.searchPromise = null;
+        this.state.allRecipes = [];
+        this.state.filteredRecipes = [];
+        this.state.error = null;
+        this.state.isLoading = false;
+        this.state.hydration.run++;
+        this.renderEmptyState();
+    }
+
     /**
      * Search for recipes
      */
     async searchRecipes() {
+        this.updateUrl();
+
         if (this.state.selectedIngredients.size === 0) {
-            this.renderEmptyState();
+            this.resetResults();
             return;
         }
 
+        this.cancelNameSearch();
         this.state.isLoading = true;
         this.state.error = null;
         this.renderLoadingState();
 
+        const ingredients = Array.from(this.state.selectedIngredients);
+        const search = Promise.all(ingredients.map(ingredient => 
+            this.fetchRecipesByIngredient(ingredient)
+        ));
+        this.searchPromise = search;
+
         try {
-            const ingredients = Array.from(this.state.selectedIngredients);
-            const searchPromises = ingredients.map(ingredient => 
-                this.fetchRecipesByIngredient(ingredient)
-            );
+            const results = await search;
+            // A newer search has started; its results win
+            if (this.searchPromise !== search) return;
 
-            const results = await Promise.all(searchPromises);
+            const matchIndex = this.buildMatchIndex(ingredients, results);
             const allRecipes = results.flat();
             const uniqueRecipes = this.deduplicateRecipes(allRecipes);
             
             // Add matching info
             const recipesWithMatches = uniqueRecipes.map(recipe => ({
                 ...recipe,
-                matchingIngredients: this.getMatchingIngredients(recipe, ingredients)
+                ...this.state.recipeDetails.get(recipe.idMeal),
+                matchingIngredients: this.getMatchingIngredients(recipe, matchIndex)
             }));
 
             this.state.allRecipes = recipesWithMatches;
             this.state.isLoading = false;
 
+            this.hydrateRecipes();
             this.applyFilters();
             
         } catch (error) {
+            if (this.searchPromise !== search) return;
             console.error('Error searching recipes:', error);
             this.state.error = 'Failed to search recipes. Please try again.';
             this.state.isLoading = false;
@@ -480,20 +1372,143 @@ class PremiumRecipeFinderApp {
         }
     }
 
+    /**
+     * Abort the in-flight name search request, if any
+     */
+    cancelNameSearch() {
+        if (this.nameSearchController) this.nameSearchController.abort();
+        this.nameSearchController = null;
+    }
+
+    /**
+     * Search recipes by name, aborting the request of a superseded query
+     */
+    async searchRecipesByName(query) {
+        this.cancelNameSearch();
+        this.state.nameQuery = query;
+        this.updateUrl();
+
+        if (query.length < 2) {
+            this.resetResults();
+            return;
+        }
+
+        this.state.isLoading = true;
+        this.state.error = null;
+        this.renderLoadingState();
+
+        const controller = new AbortController();
+        this.nameSearchController = controller;
+
+        const search = this.recipeProvider.searchByName(query, { signal: controller.signal });
+        this.searchPromise = search;
+
+        try {
+            const meals = await search;
+            if (this.searchPromise !== search) return;
+
+            // search.php returns full recipes, so nothing needs hydrating
+            const ingredients = Array.from(this.state.selectedIngredients);
+            this.state.allRecipes = meals.map(meal => {
+                this.state.recipeDetails.set(meal.idMeal, meal);
+                const names = this.extractIngredients(meal).map(ingredient => ingredient.name);
+                return {
+                    ...meal,
+                    matchingIngredients: ingredients.length > 0
+                        ? ingredients.filter(term => names.some(name => this.ingredientMatches(name, term)))
+                        : undefined
+                };
+            });
+            this.state.isLoading = false;
+
+            this.hydrateRecipes();
+            this.applyFilters();
+
+        } catch (error) {
+            if (this.searchPromise !== search || error.name === 'AbortError') return;
+            console.error('Error searching recipes by name:', error);
+            this.state.error = 'Failed to search recipes. Please try again.';
+            this.state.isLoading = false;
+            this.renderErrorState();
+        }
+    }
+
     /**
      * Fetch recipes by ingredient
      */
     async fetchRecipesByIngredient(ingredient) {
-        const response = await fetch(
-            `${this.api.baseUrl}${this.api.endpoints.filterByIngredient}${encodeURIComponent(ingredient)}`
-        );
-        
-        if (!response.ok) {
-            throw new Error(`Failed to fetch recipes for ${ingredient}`);
+        return this.recipeProvider.searchByIngredient(ingredient);
+    }
+
+    /**
+     * Fetch full recipe details
+     */
+    async fetchRecipeDetails(recipeId) {
+        const recipe = await this.recipeProvider.lookup(recipeId);
+        if (!recipe) throw new Error('Recipe not found');
+        return recipe;
+    }
+
+    // ===== NETWORK & CACHE =====
+
+    /**
+     * Create the configured recipe data source, searched together with
+     * My recipes
+     */
+    createRecipeProvider() {
+        const useLocal = this.api.provider === 'local' && Boolean(this.api.dataUrl);
+        if (this.api.provider === 'local' && !useLocal) {
+            console.warn('recipeFinderConfig: provider "local" needs a dataUrl; using TheMealDB instead');
         }
 
-        const data = await response.json();
-        return data.meals || [];
+        const source = useLocal
+            ? new LocalRecipeProvider({ url: this.api.dataUrl })
+            : new MealDbProvider({
+                baseUrl: this.api.baseUrl,
+                fetchJson: (url, options) => this.fetchJson(url, options),
+                ttl: this.api.cacheTtl
+            });
+
+        return new CombinedRecipeProvider([this.myRecipeProvider, source]);
+    }
+
+    /**
+     * Fetch JSON through the response cache, tracking whether cached data
+     * had to stand in for the network
+     */
+    async fetchJson(url, options) {
+        const { data, source } = await this.apiCache.fetchJson(url, options);
+
+        if (source === 'offline' && !this.state.servedFromCache) {
+            this.state.servedFromCache = true;
+            this.updateOfflineBanner();
+        } else if (source === 'network' && this.state.servedFromCache) {
+            this.state.servedFromCache = false;
+            this.updateOfflineBanner();
+        }
+
+        return data;
+    }
+
+    /**
+     * Show the offline banner while offline or serving cached fallbacks
+     */
+    updateOfflineBanner() {
+        const banner = document.getElementById('offline-banner');
+        if (!banner) return;
+
+        banner.classList.toggle('hidden', !this.state.isOffline && !this.state.servedFromCache);
+    }
+
+    /**
+     * Register the service worker that precaches the app shell
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
     }
 
     /**
@@ -508,20 +1523,106 @@ class PremiumRecipeFinderApp {
         });
     }
 
+    /**
+     * Map each idMeal to the searched ingredients whose result set contained it
+     */
+    buildMatchIndex(ingredients, results) {
+        const index = new Map();
+        results.forEach((meals, i) => {
+            meals.forEach(meal => {
+                if (!index.has(meal.idMeal)) index.set(meal.idMeal, new Set());
+                index.get(meal.idMeal).add(ingredients[i]);
+            });
+        });
+        return index;
+    }
+
     /**
      * Get matching ingredients
      */
-    getMatchingIngredients(recipe, searchIngredients) {
-        const maxMatches = Math.min(searchIngredients.length, 3);
-        return searchIngredients.slice(0, maxMatches);
+    getMatchingIngredients(recipe, matchIndex) {
+        return Array.from(matchIndex.get(recipe.idMeal) || []);
+    }
+
+    /**
+     * Extract the ingredient/measure pairs from a full recipe
+     */
+    extractIngredients(recipe) {
+        const ingredients = [];
+        for (let i = 1; i <= 20; i++) {
+            const name = recipe[`strIngredient${i}`];
+            const measure = recipe[`strMeasure${i}`];
+
+            if (name && name.trim()) {
+                ingredients.push({ name: name.trim(), measure: measure ? measure.trim() : '' });
+            }
+        }
+        return ingredients;
+    }
+
+    /**
+     * Check whether a recipe ingredient is covered by a searched ingredient
+     */
+    ingredientMatches(recipeIngredient, searchIngredient) {
+        const words = (value) => value.toLowerCase()
+            .split(/[^a-z]+/)
+            .filter(Boolean)
+            .map(word => word.replace(/ies$/, 'y').replace(/oes$/, 'o').replace(/([^s])s$/, '$1'));
+        const containsAll = (haystack, needles) => 
+            needles.length > 0 && needles.every(word => haystack.includes(word));
+
+        // Whole words only, so "oil" doesn't match "boiled potatoes"
+        const name = words(recipeIngredient);
+        const term = words(searchIngredient);
+        return containsAll(name, term) || containsAll(term, name);
+    }
+
+    /**
+     * Get the recipe ingredients not covered by the matched ones or the pantry.
+     * Returns null until the lookup details for the recipe are known.
+     */
+    getMissingIngredients(recipe) {
+        if (!recipe.strIngredient1) return null;
+
+        const have = [
+            ...(recipe.matchingIngredients || []),
+            ...this.pantry.items.map(item => item.name)
+        ];
+        return this.extractIngredients(recipe)
+            .map(ingredient => ingredient.name)
+            .filter(name => !have.some(term => this.ingredientMatches(name, term)));
+    }
+
+    /**
+     * Merge lookup details into the cache and any search result they belong to
+     */
+    storeRecipeDetails(recipe) {
+        this.state.recipeDetails.set(recipe.idMeal, recipe);
+
+        const index = this.state.allRecipes.findIndex(r => r.idMeal === recipe.idMeal);
+        if (index === -1) return false;
+
+        this.state.allRecipes[index] = {
+            ...this.state.allRecipes[index],
+            ...recipe,
+            matchingIngredients: this.state.allRecipes[index].matchingIngredients
+        };
+        return true;
     }
 
     /**
      * Handle filter changes
      */
-    handleFilterChange(e) {
+    async handleFilterChange(e) {
         const filterType = e.target.id.replace('-filter', '');
         this.state.currentFilter[filterType] = e.target.value;
+        this.updateUrl();
+
+        if ((filterType === 'category' || filterType === 'area') && e.target.value) {
+            await this.loadPrefilter(filterType, e.target.value);
+        }
+
+        this.hydrateRecipes();
         this.applyFilters();
     }
 
@@ -531,242 +1632,1985 @@ class PremiumRecipeFinderApp {
     applyFilters() {
         let filtered = [...this.state.allRecipes];
 
-        if (this.state.currentFilter.category) {
-            filtered = filtered.filter(recipe => 
-                recipe.strCategory && 
-                recipe.strCategory.toLowerCase() === this.state.currentFilter.category.toLowerCase()
-            );
-        }
-
-        if (this.state.currentFilter.area) {
+        // All ingredients (AND) keeps only recipes found in every result set
+        if (this.state.currentFilter.match === 'all') {
+            const required = this.state.selectedIngredients.size;
             filtered = filtered.filter(recipe => 
-                recipe.strArea && 
-                recipe.strArea.toLowerCase() === this.state.currentFilter.area.toLowerCase()
+                (recipe.matchingIngredients || []).length >= required
             );
         }
 
-        // Simulate time filtering
-        if (this.state.currentFilter.time) {
-            const ratio = this.state.currentFilter.time === 'quick' ? 0.7 : 
-                         this.state.currentFilter.time === 'medium' ? 0.8 : 0.6;
-            filtered = filtered.filter(() => Math.random() > (1 - ratio));
-        }
+        filtered = filtered.filter(recipe => this.passesRecipeFilters(recipe));
 
-        this.state.filteredRecipes = filtered;
+        this.state.filteredRecipes = this.rankRecipes(filtered);
         this.renderRecipeGrid();
     }
 
     /**
-     * Get random recipe
+     * Check a recipe against the category, cuisine, time and calorie filters
      */
-    async getRandomRecipe() {
-        try {
-            this.state.isLoading = true;
-            this.renderLoadingState();
-            
-            const response = await fetch(`${this.api.baseUrl}${this.api.endpoints.getRandomRecipe}`);
-            
-            if (!response.ok) throw new Error('Failed to fetch random recipe');
+    passesRecipeFilters(recipe) {
+        if (!this.matchesFilter(recipe, 'category', 'strCategory')) return false;
+        if (!this.matchesFilter(recipe, 'area', 'strArea')) return false;
 
-            const data = await response.json();
-            
-            if (!data.meals || data.meals.length === 0) {
-                throw new Error('No random recipe found');
-            }
+        // Recipes without details yet have no estimate and wait for hydration
+        if (this.state.currentFilter.time) {
+            const estimate = this.getTimeEstimate(recipe);
+            if (estimate === null || estimate.bucket !== this.state.currentFilter.time) return false;
+        }
 
-            const recipe = data.meals[0];
-            this.state.isLoading = false;
-            this.hideLoadingState();
-            this.showRecipeModal(recipe.idMeal);
-            
-        } catch (error) {
-            console.error('Error fetching random recipe:', error);
-            this.state.error = 'Failed to load random recipe. Please try again.';
-            this.state.isLoading = false;
-            this.renderErrorState();
+        // Estimates missing too many ingredients would undercount and slip through
+        if (this.state.currentFilter.calories) {
+            const nutrition = this.getNutritionEstimate(recipe);
+            if (nutrition === null || !nutrition.reliable) return false;
+            if (nutrition.perServing.calories > Number(this.state.currentFilter.calories)) return false;
+        }
+
+        // Exclusions need the full ingredient list too
+        if (this.hasIngredientRestrictions()) {
+            if (!recipe.strIngredient1 || this.hasConflictingIngredients(recipe)) return false;
         }
+
+        return true;
     }
 
     /**
-     * Retry search
+     * Check a category/area filter against hydrated details, falling back
+     * to the server-side prefilter while details are still loading
      */
-    retrySearch() {
-        this.state.error = null;
-        if (this.state.selectedIngredients.size > 0) {
-            this.searchRecipes();
-        } else {
-            this.renderEmptyState();
+    matchesFilter(recipe, filterType, field) {
+        const value = this.state.currentFilter[filterType];
+        if (!value) return true;
+
+        if (recipe[field]) {
+            return recipe[field].toLowerCase() === value.toLowerCase();
         }
+
+        const ids = this.state.prefilters.get(`${filterType}:${value}`);
+        return ids ? ids.has(recipe.idMeal) : false;
     }
 
-    // ===== RECIPE MODAL =====
+    // ===== DETAIL HYDRATION =====
 
     /**
-     * Show recipe modal
+     * Load the ids MealDB lists for a category or area
      */
-    async showRecipeModal(recipeId) {
-        try {
-            const response = await fetch(
-                `${this.api.baseUrl}${this.api.endpoints.getRecipeDetails}${recipeId}`
-            );
-            
-            if (!response.ok) throw new Error('Failed to fetch recipe details');
-
-            const data = await response.json();
-            
-            if (!data.meals || data.meals.length === 0) {
-                throw new Error('Recipe not found');
-            }
+    async loadPrefilter(filterType, value) {
+        const key = `${filterType}:${value}`;
+        if (this.state.prefilters.has(key)) return;
 
-            const recipe = data.meals[0];
-            this.currentRecipe = recipe;
-            this.renderRecipeModal(recipe);
-            this.openModal();
-            
+        try {
+            const meals = filterType === 'category'
+                ? await this.recipeProvider.filterByCategory(value)
+                : await this.recipeProvider.filterByArea(value);
+            this.state.prefilters.set(key, new Set(meals.map(meal => meal.idMeal)));
         } catch (error) {
-            console.error('Error fetching recipe details:', error);
-            this.showToast('Failed to load recipe details. Please try again.');
+            // Hydrated details still let the filter work, just more slowly
+            console.error('Error loading prefilter:', error);
         }
     }
 
     /**
-     * Open modal
+     * Check whether a recipe is ruled out by an active prefilter
+     */
+    isExcludedByPrefilter(recipe) {
+        return ['category', 'area'].some(filterType => {
+            const value = this.state.currentFilter[filterType];
+            const ids = value && this.state.prefilters.get(`${filterType}:${value}`);
+            return ids ? !ids.has(recipe.idMeal) : false;
+        });
+    }
+
+    /**
+     * Fetch lookup details for the current results with limited concurrency,
+     * merging them into state and re-rendering as they arrive
+     */
+    async hydrateRecipes() {
+        const hydration = this.state.hydration;
+        const run = ++hydration.run;
+
+        const queue = this.state.allRecipes.filter(recipe => 
+            !this.state.recipeDetails.has(recipe.idMeal) && !this.isExcludedByPrefilter(recipe)
+        );
+
+        hydration.done = 0;
+        hydration.total = queue.length;
+        if (queue.length === 0) return;
+
+        const worker = async () => {
+            while (queue.length > 0 && hydration.run === run) {
+                const recipe = queue.shift();
+                let details = null;
+                try {
+                    details = await this.fetchRecipeDetails(recipe.idMeal);
+                } catch (error) {
+                    console.error(`Error hydrating recipe ${recipe.idMeal}:`, error);
+                }
+
+                if (hydration.run !== run) return;
+                if (details) this.storeRecipeDetails(details);
+                hydration.done++;
+                this.scheduleHydrationRender();
+            }
+        };
+
+        const workers = Array.from(
+            { length: Math.min(this.api.lookupConcurrency, queue.length) },
+            () => worker()
+        );
+        await Promise.all(workers);
+    }
+
+    /**
+     * Batch grid re-renders while details stream in
+     */
+    scheduleHydrationRender() {
+        if (this.hydrationRenderTimer) return;
+
+        this.hydrationRenderTimer = setTimeout(() => {
+            this.hydrationRenderTimer = null;
+            if (this.state.isLoading || this.state.allRecipes.length === 0) return;
+            this.applyFilters();
+        }, 250);
+    }
+
+    // ===== RANKING =====
+
+    /**
+     * Handle sort order changes
+     */
+    handleSortChange(e) {
+        this.state.sortBy = e.target.value;
+        this.updateUrl();
+        this.state.filteredRecipes = this.rankRecipes(this.state.filteredRecipes);
+        this.renderRecipeGrid();
+    }
+
+    /**
+     * Order recipes by the selected sort
+     */
+    rankRecipes(recipes) {
+        const byName = (a, b) => a.strMeal.localeCompare(b.strMeal);
+        const withUnknownLast = (value) => value === null ? Infinity : value;
+        const comparators = {
+            relevance: (a, b) => this.scoreRecipe(b) - this.scoreRecipe(a) || byName(a, b),
+            name: byName,
+            missing: (a, b) => 
+                withUnknownLast(this.countMissing(a)) - withUnknownLast(this.countMissing(b)) || byName(a, b),
+            time: (a, b) => 
+                withUnknownLast(this.getEstimatedMinutes(a)) - withUnknownLast(this.getEstimatedMinutes(b)) || byName(a, b)
+        };
+
+        const compare = comparators[this.state.sortBy] || comparators.relevance;
+        return [...recipes].sort(compare);
+    }
+
+    /**
+     * Score a recipe for relevance: ingredient coverage first, then fewer
+     * extra items, favorites and shorter cooking times as tie-breakers
+     */
+    scoreRecipe(recipe) {
+        const selected = this.state.selectedIngredients.size || 1;
+        const coverage = (recipe.matchingIngredients || []).length / selected;
+        const missing = this.countMissing(recipe);
+        const minutes = this.getEstimatedMinutes(recipe);
+
+        let score = coverage * 100;
+        if (missing !== null) score -= missing * 4;
+        if (this.state.favorites.has(recipe.idMeal)) score += 15;
+        if (minutes !== null) score -= Math.min(minutes, 240) / 12;
+        return score;
+    }
+
+    /**
+     * Count missing ingredients, or null while details are unknown
+     */
+    countMissing(recipe) {
+        const missing = this.getMissingIngredients(recipe);
+        return missing ? missing.length : null;
+    }
+
+    /**
+     * Estimated cooking time in minutes, or null while details are unknown
+     */
+    getEstimatedMinutes(recipe) {
+        const estimate = this.getTimeEstimate(recipe);
+        return estimate ? estimate.minutes : null;
+    }
+
+    /**
+     * Get the cached cooking time estimate for a recipe with details
+     */
+    getTimeEstimate(recipe) {
+        if (!recipe.strInstructions) return null;
+
+        if (!this.timeEstimates.has(recipe.idMeal)) {
+            this.timeEstimates.set(recipe.idMeal, this.timeEstimator.estimate(recipe));
+        }
+        return this.timeEstimates.get(recipe.idMeal);
+    }
+
+    /**
+     * Get the cached nutrition estimate for a recipe at its own yield
+     */
+    getNutritionEstimate(recipe) {
+        if (!recipe.strIngredient1) return null;
+
+        if (!this.nutritionEstimates.has(recipe.idMeal)) {
+            this.nutritionEstimates.set(recipe.idMeal, this.nutritionEstimator.estimate(
+                this.getParsedIngredients(recipe),
+                this.getBaseServings(recipe)
+            ));
+        }
+        return this.nutritionEstimates.get(recipe.idMeal);
+    }
+
+    /**
+     * Render the estimated time badge text
+     */
+    formatTimeEstimate(recipe) {
+        const estimate = this.getTimeEstimate(recipe);
+        if (!estimate) return '';
+
+        const prefix = estimate.source === 'heuristic' ? '~' : '';
+        return `⏱ ${prefix}${this.timeEstimator.format(estimate.minutes)}`;
+    }
+
+    /**
+     * Get random recipe
+     */
+    async getRandomRecipe() {
+        try {
+            this.state.isLoading = true;
+            this.renderLoadingState();
+            
+            const recipe = await this.fetchRandomRecipe();
+            this.state.recipeDetails.set(recipe.idMeal, recipe);
+            this.state.isLoading = false;
+            this.hideLoadingState();
+            this.showRecipeModal(recipe.idMeal);
+            
+        } catch (error) {
+            console.error('Error fetching random recipe:', error);
+            this.state.error = 'Failed to load random recipe. Please try again.';
+            this.state.isLoading = false;
+            this.renderErrorState();
+        }
+    }
+
+    /**
+     * Fetch one random recipe with full details
+     */
+    async fetchRandomRecipe() {
+        const recipe = await this.recipeProvider.random();
+        if (!recipe) throw new Error('No random recipe found');
+        return recipe;
+    }
+
+    /**
+     * Retry search
+     */
+    retrySearch() {
+        this.state.error = null;
+        this.runSearch();
+    }
+
+    // ===== RECIPE MODAL =====
+
+    /**
+     * Show recipe modal. `fromHistory` is set when the URL already points at it.
+     */
+    async showRecipeModal(recipeId, options = {}) {
+        try {
+            const recipe = await this.resolveRecipe(recipeId);
+            this.currentRecipe = recipe;
+            if (this.storeRecipeDetails(recipe)) this.applyFilters();
+            this.renderRecipeModal(recipe);
+            this.openModal();
+            if (!options.fromHistory) this.pushRecipeRoute(recipe.idMeal);
+            
+        } catch (error) {
+            console.error('Error fetching recipe details:', error);
+            this.showToast('Failed to load recipe details. Please try again.');
+        }
+    }
+
+    /**
+     * Get full recipe details from memory, saved snapshots or the API
+     */
+    async resolveRecipe(recipeId) {
+        const planned = Object.values(this.mealPlanner.slots).find(recipe => recipe.idMeal === recipeId);
+
+        return this.state.recipeDetails.get(recipeId) || 
+            this.state.myRecipes.get(recipeId)?.recipe ||
+            this.state.favorites.get(recipeId)?.recipe ||
+            planned ||
+            await this.fetchRecipeDetails(recipeId);
+    }
+
+    /**
+     * Open modal
+     */
+    openModal() {
+        const modal = document.getElementById('modal-overlay');
+        if (modal) {
+            modal.classList.remove('hidden');
+            document.body.style.overflow = 'hidden';
+        }
+    }
+
+    /**
+     * Close modal
+     */
+    closeModal(options = {}) {
+        const modal = document.getElementById('modal-overlay');
+        if (modal) {
+            modal.classList.add('hidden');
+            document.body.style.overflow = '';
+            this.currentRecipe = null;
+        }
+
+        if (this.state.cookMode.active) this.exitCookMode();
+        if (!options.fromHistory) this.leaveRecipeRoute();
+    }
+
+    // ===== URL STATE =====
+
+    /**
+     * Search state as query parameters, leaving out defaults
+     */
+    getUrlParams() {
+        const params = new URLSearchParams();
+        const { currentFilter } = this.state;
+
+        if (this.state.searchMode === 'name') {
+            params.set('mode', 'name');
+            if (this.state.nameQuery) params.set('q', this.state.nameQuery);
+        }
+        if (this.state.selectedIngredients.size > 0) {
+            params.set('i', Array.from(this.state.selectedIngredients).join(','));
+        }
+        if (this.state.excludedIngredients.size > 0) {
+            params.set('x', Array.from(this.state.excludedIngredients).join(','));
+        }
+
+        ['time', 'calories', 'category', 'area'].forEach(key => {
+            if (currentFilter[key]) params.set(key, currentFilter[key]);
+        });
+        if (currentFilter.match !== 'any') params.set('match', currentFilter.match);
+        if (this.state.sortBy !== 'relevance') params.set('sort', this.state.sortBy);
+
+        return params;
+    }
+
+    /**
+     * App URL for the current search with the given hash route
+     */
+    buildUrl(hash = window.location.hash) {
+        const query = this.getUrlParams().toString();
+        return `${window.location.pathname}${query ? `?${query}` : ''}${hash}`;
+    }
+
+    /**
+     * Mirror the search state in the address bar without adding history entries
+     */
+    updateUrl() {
+        const url = this.buildUrl();
+        const current = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+        if (url !== current) history.replaceState(history.state, '', url);
+    }
+
+    /**
+     * Add a history entry for an opened recipe, so Back closes it
+     */
+    pushRecipeRoute(recipeId) {
+        const hash = `#/recipe/${encodeURIComponent(recipeId)}`;
+        if (window.location.hash === hash) return;
+        history.pushState({ recipeModal: true }, '', this.buildUrl(hash));
+    }
+
+    /**
+     * Drop the recipe route after the modal closes
+     */
+    leaveRecipeRoute() {
+        if (!this.getRecipeRoute()) return;
+
+        if (history.state && history.state.recipeModal) {
+            history.back();
+        } else {
+            // Opened from a shared link: there's no entry of ours to go back to
+            history.replaceState(null, '', this.buildUrl(''));
+        }
+    }
+
+    /**
+     * Recipe id in the hash route (#/recipe/52772), or null
+     */
+    getRecipeRoute() {
+        const match = window.location.hash.match(/^#\/recipe\/([^/]+)$/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    /**
+     * Apply the URL's search and recipe route, on load and on back/forward
+     */
+    async restoreFromUrl() {
+        const params = new URLSearchParams(window.location.search);
+
+        if (params.toString() !== this.getUrlParams().toString()) {
+            this.applyUrlParams(params);
+
+            const { category, area } = this.state.currentFilter;
+            await Promise.all([
+                category ? this.loadPrefilter('category', category) : null,
+                area ? this.loadPrefilter('area', area) : null
+            ]);
+            this.runSearch();
+        }
+
+        const recipeId = this.getRecipeRoute();
+        if (recipeId && recipeId !== this.currentRecipe?.idMeal) {
+            this.showRecipeModal(recipeId, { fromHistory: true });
+        } else if (!recipeId && this.currentRecipe) {
+            this.closeModal({ fromHistory: true });
+        }
+    }
+
+    /**
+     * Load search state from query parameters and update the controls to match
+     */
+    applyUrlParams(params) {
+        // Shared links are untrusted: keep only values that look like ingredient names
+        const list = (key) => (params.get(key) || '').split(',')
+            .map(value => this.ingredientNormalizer.canonicalize(value))
+            .filter(name => /^[\p{L}\p{N}][\p{L}\p{N} '&-]{0,59}$/u.test(name));
+        const oneOf = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+
+        this.state.searchMode = params.get('mode') === 'name' ? 'name' : 'ingredients';
+        this.state.nameQuery = this.state.searchMode === 'name' ? (params.get('q') || '').trim().toLowerCase() : '';
+        this.state.selectedIngredients = new Set(list('i'));
+        this.state.ingredientOrigins.clear();
+        this.state.excludedIngredients = new Set(list('x'));
+        this.state.currentFilter = {
+            time: oneOf(params.get('time'), ['quick', 'medium', 'long'], ''),
+            calories: oneOf(params.get('calories'), ['300', '450', '600', '800'], ''),
+            category: params.get('category') || '',
+            area: params.get('area') || '',
+            match: oneOf(params.get('match'), ['any', 'all'], 'any')
+        };
+        this.state.sortBy = oneOf(params.get('sort'), ['relevance', 'name', 'missing', 'time'], 'relevance');
+
+        this.updateSearchModeToggle();
+        this.updateIngredientChips();
+        this.updateExcludedChips();
+        ['time', 'calories', 'category', 'area', 'match'].forEach(key => 
+            this.setSelectValue(`${key}-filter`, this.state.currentFilter[key])
+        );
+        this.setSelectValue('sort-select', this.state.sortBy);
+    }
+
+    /**
+     * Select a dropdown value, adding the option if the list doesn't have it yet
+     */
+    setSelectValue(selectId, value) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        if (value && !Array.from(select.options).some(option => option.value === value)) {
+            select.appendChild(new Option(value, value));
+        }
+        select.value = value;
+    }
+
+    /**
+     * Render recipe modal
+     */
+    renderRecipeModal(recipe) {
+        // Update basic info
+        const elements = {
+            title: document.getElementById('modal-recipe-title'),
+            image: document.getElementById('modal-recipe-image'),
+            category: document.getElementById('modal-recipe-category'),
+            area: document.getElementById('modal-recipe-area'),
+            time: document.getElementById('modal-recipe-time')
+        };
+
+        if (elements.title) elements.title.textContent = recipe.strMeal;
+        if (elements.image) {
+            elements.image.src = this.getRecipeImage(recipe);
+            elements.image.alt = recipe.strMeal;
+        }
+        if (elements.category) elements.category.textContent = recipe.strCategory || '';
+        if (elements.area) elements.area.textContent = recipe.strArea || '';
+        if (elements.time) elements.time.textContent = this.formatTimeEstimate(recipe);
+
+        // Process ingredients
+        this.state.substitutions = new Map();
+        this.state.substituteMenu = null;
+        this.state.baseServings = this.getBaseServings(recipe);
+        this.state.currentServings = this.state.baseServings;
+        this.updateServingCount();
+        this.renderModalIngredients();
+
+        // Process instructions
+        const instructions = this.getInstructionSteps(recipe)
+            .map((line, index) => `
+                <div class="instruction-step">
+                    <span class="step-number">${index + 1}</span>
+                    <p>${this.renderStepText(line, index)}</p>
+                </div>
+            `).join('');
+        
+        const instructionsContainer = document.getElementById('modal-instructions');
+        if (instructionsContainer) {
+            instructionsContainer.innerHTML = instructions;
+        }
+
+        // Only our own recipes can be edited
+        const editBtn = document.getElementById('edit-recipe-btn');
+        if (editBtn) editBtn.classList.toggle('hidden', !this.state.myRecipes.has(recipe.idMeal));
+
+        // Update favorite status
+        const favoriteBtn = document.getElementById('favorite-btn');
+        const heartIcon = favoriteBtn?.querySelector('.heart-icon');
+        if (favoriteBtn && heartIcon) {
+            if (this.state.favorites.has(recipe.idMeal)) {
+                heartIcon.textContent = '❤️';
+                favoriteBtn.classList.add('favorited');
+            } else {
+                heartIcon.textContent = '🤍';
+                favoriteBtn.classList.remove('favorited');
+            }
+        }
+
+        // Process external links
+        const links = [];
+        const source = this.recipeFormats.safeUrl(recipe.strSource);
+        const video = this.recipeFormats.safeUrl(recipe.strYoutube);
+        if (source) {
+            links.push(`<a href="${this.escapeHtml(source)}" target="_blank" rel="noopener">View Original Recipe</a>`);
+        }
+        if (video) {
+            links.push(`<a href="${this.escapeHtml(video)}" target="_blank" rel="noopener">Watch Video Tutorial</a>`);
+        }
+        
+        const linksContainer = document.getElementById('modal-links');
+        if (linksContainer) {
+            linksContainer.innerHTML = links.join('');
+        }
+    }
+
+    /**
+     * Step text with each duration phrase turned into a timer chip
+     */
+    renderStepText(step, stepIndex) {
+        let html = '';
+        let last = 0;
+
+        this.timeEstimator.parseDurations(step).forEach(({ text, index, min, max }) => {
+            html += this.escapeHtml(step.slice(last, index));
+            html += `<button class="duration-chip" data-step="${stepIndex}" data-min="${min}" data-max="${max}" type="button" title="Start a ${this.timeEstimator.format(max)} timer">⏲️ ${this.escapeHtml(text)}</button>`;
+            last = index + text.length;
+        });
+
+        return html + this.escapeHtml(step.slice(last));
+    }
+
+    /**
+     * Split instructions into steps, dropping bare "STEP 3" headings
+     */
+    getInstructionSteps(recipe) {
+        return (recipe.strInstructions || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^step\s*\d+[:.]?$/i.test(line));
+    }
+
+    // ===== COOK MODE =====
+
+    /**
+     * Open the open recipe's steps full screen, one at a time
+     */
+    enterCookMode() {
+        if (!this.currentRecipe) return;
+
+        const steps = this.getInstructionSteps(this.currentRecipe);
+        if (steps.length === 0) return;
+
+        const cookMode = this.state.cookMode;
+        cookMode.active = true;
+        cookMode.steps = steps;
+        cookMode.index = 0;
+
+        const title = document.getElementById('cook-title');
+        if (title) title.textContent = this.currentRecipe.strMeal;
+
+        const overlay = document.getElementById('cook-mode');
+        if (overlay) overlay.classList.remove('hidden');
+
+        this.renderCookStep();
+        this.requestWakeLock();
+    }
+
+    /**
+     * Leave cook mode and let the screen sleep again
+     */
+    exitCookMode() {
+        const cookMode = this.state.cookMode;
+        cookMode.active = false;
+
+        const overlay = document.getElementById('cook-mode');
+        if (overlay) overlay.classList.add('hidden');
+
+        if (cookMode.wakeLock) {
+            cookMode.wakeLock.release().catch(() => {});
+            cookMode.wakeLock = null;
+        }
+    }
+
+    /**
+     * Keep the screen on while cooking, where the Wake Lock API exists
+     */
+    async requestWakeLock() {
+        if (!('wakeLock' in navigator)) return;
+
+        try {
+            const wakeLock = await navigator.wakeLock.request('screen');
+            const cookMode = this.state.cookMode;
+
+            // Cook mode may have closed, or taken another lock, while this one was pending
+            if (!cookMode.active || (cookMode.wakeLock && !cookMode.wakeLock.released)) {
+                wakeLock.release().catch(() => {});
+                return;
+            }
+            cookMode.wakeLock = wakeLock;
+        } catch (error) {
+            // Denied (e.g. low battery); cook mode still works
+            console.error('Wake lock unavailable:', error);
+        }
+    }
+
+    /**
+     * Keyboard navigation while cook mode is open
+     */
+    handleCookModeKeydown(e) {
+        const index = this.state.cookMode.index;
+
+        if (e.key === 'ArrowRight' || e.key === 'PageDown' || e.key === ' ') {
+            e.preventDefault();
+            this.goToCookStep(index + 1);
+        } else if (e.key === 'ArrowLeft' || e.key === 'PageUp') {
+            e.preventDefault();
+            this.goToCookStep(index - 1);
+        } else if (e.key === 'Escape') {
+            this.exitCookMode();
+        }
+    }
+
+    /**
+     * Move to a step; going past the last one finishes cooking
+     */
+    goToCookStep(index) {
+        const cookMode = this.state.cookMode;
+        if (index < 0) return;
+
+        if (index >= cookMode.steps.length) {
+            this.exitCookMode();
+            this.showToast('🍽️ All steps done. Enjoy your meal!');
+            return;
+        }
+
+        cookMode.index = index;
+        this.renderCookStep();
+    }
+
+    /**
+     * Render the current step, its timers and progress
+     */
+    renderCookStep() {
+        const { steps, index } = this.state.cookMode;
+        const step = steps[index];
+
+        const text = document.getElementById('cook-step');
+        const counter = document.getElementById('cook-counter');
+        const progress = document.getElementById('cook-progress');
+        const timers = document.getElementById('cook-step-timers');
+        const prev = document.getElementById('cook-prev');
+        const next = document.getElementById('cook-next');
+
+        if (text) text.textContent = step;
+        if (counter) counter.textContent = `Step ${index + 1} of ${steps.length}`;
+        if (progress) {
+            progress.style.width = `${((index + 1) / steps.length) * 100}%`;
+            progress.parentElement.setAttribute('aria-valuenow', String(index + 1));
+            progress.parentElement.setAttribute('aria-valuemax', String(steps.length));
+        }
+        if (timers) {
+            timers.innerHTML = this.timeEstimator.parseDurations(step)
+                .map(({ text, min, max }) => {
+                    const phrase = this.escapeHtml(text);
+                    return `<button class="step-timer-btn" data-step="${index}" data-min="${min}" data-max="${max}" type="button" title="${phrase}">
+                        ⏲️ ${phrase}
+                    </button>`;
+                })
+                .join('');
+        }
+        if (prev) prev.disabled = index === 0;
+        if (next) next.textContent = index === steps.length - 1 ? 'Finish ✓' : 'Next →';
+    }
+
+    /**
+     * Start a timer for a duration chip, labelled with its step. Ranges run
+     * to the upper bound with a reminder to check at the lower one.
+     */
+    startStepTimer({ step: stepIndex, min, max }) {
+        const minutes = Number(max);
+        if (!minutes || !this.currentRecipe) return;
+
+        const step = this.getInstructionSteps(this.currentRecipe)[Number(stepIndex)] || '';
+        const label = `Step ${Number(stepIndex) + 1}: ${step}`;
+
+        this.addTimer(label.length > 60 ? `${label.slice(0, 59).trim()}…` : label, minutes * 60, {
+            reminderSeconds: Number(min) < minutes ? Number(min) * 60 : null
+        });
+    }
+
+    // ===== RECIPE ACTIONS =====
+
+    /**
+     * Adjust servings
+     */
+    adjustServings(change) {
+        this.state.currentServings = Math.max(1, this.state.currentServings + change);
+        this.updateServingCount();
+        this.renderModalIngredients();
+    }
+
+    /**
+     * Update the serving count display
+     */
+    updateServingCount() {
+        const servingCount = document.getElementById('serving-count');
+        if (servingCount) {
+            servingCount.textContent = this.state.currentServings.toString();
+        }
+    }
+
+    /**
+     * Read the yield from an imported recipe or "Serves 6" style instructions,
+     * else the MealDB default
+     */
+    getBaseServings(recipe) {
+        if (Number(recipe.strServings) > 0) return Number(recipe.strServings);
+
+        const match = (recipe.strInstructions || '').match(/\b(?:serves|servings?:?|feeds)\s+(\d{1,2})\b/i);
+        const servings = match ? parseInt(match[1], 10) : 0;
+        return servings > 0 ? servings : this.defaultServings;
+    }
+
+    /**
+     * Get the modal's ingredients with measures scaled to the current servings
+     */
+    getScaledIngredients() {
+        if (!this.currentRecipe) return [];
+
+        const factor = this.state.currentServings / this.state.baseServings;
+        return this.getParsedIngredients(this.currentRecipe).map(({ name, parsed }, index) => {
+            // Substitutes replace the name and adjust the quantity before scaling
+            const substitute = this.state.substitutions.get(index);
+            const ingredientName = substitute ? substitute.name : name;
+            const base = substitute ? this.measureParser.scale(parsed, substitute.ratio) : parsed;
+
+            const scaled = this.measureParser.scale(base, factor);
+            const converted = this.unitConverter.convert(scaled, this.state.unitSystem, ingredientName);
+            return {
+                index,
+                name: ingredientName,
+                original: substitute ? name : null,
+                note: substitute ? substitute.note : '',
+                parsed: converted,
+                measure: this.measureParser.format(converted)
+            };
+        });
+    }
+
+    /**
+     * Get a recipe's ingredients with parsed measures
+     */
+    getParsedIngredients(recipe) {
+        return this.extractIngredients(recipe).map(({ name, measure }) => ({
+            name,
+            parsed: this.measureParser.parse(measure)
+        }));
+    }
+
+    // ===== UNIT SYSTEM =====
+
+    /**
+     * Restore the remembered unit system
+     */
+    loadUnitSystem() {
+        const system = this.loadFromStorage(this.storageKeys.unitSystem, 'original');
+        this.state.unitSystem = this.unitConverter.systems.includes(system) ? system : 'original';
+        this.updateUnitToggle();
+    }
+
+    /**
+     * Switch the unit system used for modal measures
+     */
+    setUnitSystem(system) {
+        if (!this.unitConverter.systems.includes(system)) return;
+
+        this.state.unitSystem = system;
+        this.saveToStorage(this.storageKeys.unitSystem, system);
+        this.updateUnitToggle();
+        this.renderModalIngredients();
+    }
+
+    /**
+     * Reflect the active unit system on the toggle buttons
+     */
+    updateUnitToggle() {
+        document.querySelectorAll('#unit-toggle .unit-btn').forEach(btn => {
+            const active = btn.dataset.system === this.state.unitSystem;
+            btn.classList.toggle('active', active);
+            btn.setAttribute('aria-pressed', active.toString());
+        });
+    }
+
+    /**
+     * Render the modal ingredient list
+     */
+    renderModalIngredients() {
+        const ingredientsList = document.getElementById('modal-ingredients');
+        if (!ingredientsList) return;
+
+        const ingredients = this.getScaledIngredients();
+        ingredientsList.innerHTML = ingredients
+            .map(({ index, name, original, note, measure }) => {
+                const conflicts = this.getIngredientConflicts(name);
+                return `<li${conflicts.length ? ' class="conflict"' : ''}>
+                    ${measure ? `<span class="ingredient-measure">${this.escapeHtml(measure)}</span> ` : ''}${this.escapeHtml(name)}
+                    ${conflicts.length ? `<span class="conflict-tag">⚠ ${this.escapeHtml(conflicts.join(', '))}</span>` : ''}
+                    ${this.renderSubstituteControls(index, name, original, note, conflicts.length > 0)}
+                </li>`;
+            })
+            .join('');
+
+        this.renderNutrition(ingredients);
+    }
+
+    /**
+     * Render the nutrition panel for the ingredients as currently scaled and
+     * substituted, so it follows the serving count
+     */
+    renderNutrition(ingredients) {
+        const panel = document.getElementById('modal-nutrition');
+        if (!panel) return;
+
+        const servings = this.state.currentServings;
+        const estimate = this.nutritionEstimator.estimate(ingredients, servings);
+        if (!estimate) {
+            panel.innerHTML = '<p class="nutrition-note">No nutrition estimate for these ingredients.</p>';
+            return;
+        }
+
+        const grams = (value) => `${value < 10 ? Math.round(value * 10) / 10 : Math.round(value)} g`;
+        const { perServing, total, counted, missing } = estimate;
+        const rows = [
+            ['Calories', `${estimate.reliable ? '' : 'at least '}${Math.round(perServing.calories)} kcal`],
+            ['Protein', grams(perServing.protein)],
+            ['Carbs', grams(perServing.carbs)],
+            ['Fat', grams(perServing.fat)],
+            ['Fiber', grams(perServing.fiber)]
+        ];
+        const coverage = missing.length
+            ? ` · <span title="Not counted: ${this.escapeHtml(missing.join(', '))}">from ${counted.length} of ${counted.length + missing.length} ingredients</span>`
+            : '';
+
+        panel.innerHTML = `
+            <h4 class="nutrition-title">Nutrition <span class="nutrition-subtitle">per serving, estimated</span></h4>
+            <dl class="nutrition-grid">
+                ${rows.map(([label, value]) => `<div class="nutrient"><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+            </dl>
+            <p class="nutrition-note">
+                Whole recipe: ${Math.round(total.calories).toLocaleString()} kcal for ${servings} serving${servings !== 1 ? 's' : ''}${coverage}
+            </p>
+        `;
+    }
+
+    // ===== SUBSTITUTIONS =====
+
+    /**
+     * Substitutes for an ingredient that don't clash with exclusions or the profile
+     */
+    getSubstitutes(name) {
+        return this.substitutionGuide.find(name)
+            .filter(option => this.getIngredientConflicts(option.name).length === 0);
+    }
+
+    /**
+     * Swap button, open options menu or undo link for one modal ingredient
+     */
+    renderSubstituteControls(index, name, original, note, conflicting) {
+        if (original) {
+            return `<span class="substitute-note">instead of ${this.escapeHtml(original)}${note ? ` · ${this.escapeHtml(note)}` : ''}</span>
+                <button class="substitute-btn" data-index="${index}" data-action="revert" type="button">Undo</button>`;
+        }
+
+        // Only offer swaps for things the user lacks or can't eat
+        if (!conflicting && this.isIngredientOnHand(name)) return '';
+
+        const options = this.getSubstitutes(name);
+        if (options.length === 0) return '';
+
+        const menu = this.state.substituteMenu === index
+            ? `<div class="substitute-menu">
+                ${options.map((option, i) => 
+                    `<button class="substitute-option" data-index="${index}" data-option="${i}" type="button" title="${this.escapeHtml(option.note)}">
+                        ${this.escapeHtml(option.name)}${option.ratio !== 1 ? ` <span class="substitute-ratio">×${option.ratio}</span>` : ''}
+                    </button>`
+                ).join('')}
+            </div>`
+            : '';
+
+        return `<button class="substitute-btn" data-index="${index}" type="button" aria-expanded="${this.state.substituteMenu === index}">Substitute</button>${menu}`;
+    }
+
+    /**
+     * Open or close the substitute options for an ingredient
+     */
+    toggleSubstituteMenu(index) {
+        this.state.substituteMenu = this.state.substituteMenu === index ? null : index;
+        this.renderModalIngredients();
+    }
+
+    /**
+     * Apply a substitute by its position in the options list, or revert with null
+     */
+    chooseSubstitute(index, optionIndex) {
+        if (optionIndex === null) {
+            this.state.substitutions.delete(index);
+        } else {
+            const { name } = this.getParsedIngredients(this.currentRecipe)[index];
+            const option = this.getSubstitutes(name)[optionIndex];
+            if (option) this.state.substitutions.set(index, option);
+        }
+
+        this.state.substituteMenu = null;
+        this.renderModalIngredients();
+    }
+
+    /**
+     * Toggle favorite
+     */
+    toggleFavorite() {
+        if (!this.currentRecipe) return;
+        
+        const recipeId = this.currentRecipe.idMeal;
+        const favoriteBtn = document.getElementById('favorite-btn');
+        const heartIcon = favoriteBtn?.querySelector('.heart-icon');
+        
+        if (this.state.favorites.has(recipeId)) {
+            this.removeFavorite(recipeId);
+            if (heartIcon) heartIcon.textContent = '🤍';
+            favoriteBtn?.classList.remove('favorited');
+            this.showToast('Removed from favorites');
+        } else {
+            this.state.favorites.set(recipeId, {
+                recipe: this.currentRecipe,
+                addedAt: Date.now()
+            });
+            if (!this.saveFavorites('Not enough storage on this device to add this favorite')) {
+                this.state.favorites.delete(recipeId);
+                return;
+            }
+            if (heartIcon) heartIcon.textContent = '❤️';
+            favoriteBtn?.classList.add('favorited');
+            this.showToast('Added to favorites!');
+        }
+
+        if (this.state.currentView === 'favorites') this.renderFavorites();
+    }
+
+    // ===== FAVORITES =====
+
+    /**
+     * Load favorite snapshots from localStorage
+     */
+    loadFavorites() {
+        const entries = this.loadFromStorage(this.storageKeys.favorites, []);
+        this.state.favorites = new Map(
+            entries
+                .filter(entry => entry && entry.recipe && entry.recipe.idMeal)
+                .map(entry => [entry.recipe.idMeal, entry])
+        );
+    }
+
+    /**
+     * Persist favorite snapshots. Returns false when they couldn't be stored.
+     */
+    saveFavorites(failureMessage) {
+        return this.saveToStorage(this.storageKeys.favorites, Array.from(this.state.favorites.values()), failureMessage);
+    }
+
+    /**
+     * Remove a recipe from favorites
+     */
+    removeFavorite(recipeId) {
+        this.state.favorites.delete(recipeId);
+        this.saveFavorites();
+    }
+
+    /**
+     * Get favorites matching the view's search, in the chosen order
+     */
+    getVisibleFavorites() {
+        const { query, sort } = this.state.favoritesView;
+        const entries = Array.from(this.state.favorites.values()).filter(({ recipe }) => 
+            !query || [recipe.strMeal, recipe.strCategory, recipe.strArea, recipe.strTags]
+                .some(field => field && field.toLowerCase().includes(query))
+        );
+
+        const comparators = {
+            newest: (a, b) => b.addedAt - a.addedAt,
+            oldest: (a, b) => a.addedAt - b.addedAt,
+            name: (a, b) => a.recipe.strMeal.localeCompare(b.recipe.strMeal)
+        };
+
+        return entries.sort(comparators[sort] || comparators.newest);
+    }
+
+    /**
+     * Render the favorites view
+     */
+    renderFavorites() {
+        const container = document.getElementById('favorites-grid');
+        const emptyState = document.getElementById('favorites-empty');
+        const count = document.getElementById('favorites-count');
+        if (!container) return;
+
+        const entries = this.getVisibleFavorites();
+        const total = this.state.favorites.size;
+
+        if (count) {
+            count.textContent = `${total} saved recipe${total !== 1 ? 's' : ''}`;
+        }
+
+        if (emptyState) {
+            emptyState.textContent = total === 0
+                ? 'No favorites yet. Tap "Save recipe" on any recipe to keep it here.'
+                : 'No favorites match your search.';
+            emptyState.classList.toggle('hidden', entries.length > 0);
+        }
+
+        container.innerHTML = entries.map(({ recipe }) => 
+            this.renderRecipeCard(recipe, { removable: true })
+        ).join('');
+
+        this.bindRecipeCards(container);
+
+        container.querySelectorAll('.card-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.removeFavorite(btn.dataset.recipeId);
+                this.showToast('Removed from favorites');
+                this.renderFavorites();
+            });
+        });
+    }
+
+    // ===== MY RECIPES =====
+
+    /**
+     * Load My recipes from localStorage
+     */
+    loadMyRecipes() {
+        const entries = this.loadFromStorage(this.storageKeys.myRecipes, []);
+        this.state.myRecipes = new Map(
+            entries
+                .filter(entry => entry && entry.recipe && entry.recipe.idMeal)
+                .map(entry => [entry.recipe.idMeal, entry])
+        );
+        this.syncMyRecipeProvider();
+    }
+
+    /**
+     * Persist My recipes. Returns false when they couldn't be stored.
+     */
+    saveMyRecipes(failureMessage) {
+        const saved = this.saveToStorage(this.storageKeys.myRecipes, Array.from(this.state.myRecipes.values()), failureMessage);
+        this.syncMyRecipeProvider();
+        return saved;
+    }
+
+    /**
+     * Make My recipes searchable next to the main data source
+     */
+    syncMyRecipeProvider() {
+        this.myRecipeProvider.meals = Array.from(this.state.myRecipes.values()).map(entry => entry.recipe);
+    }
+
+    /**
+     * Id for a recipe of our own; the prefix keeps it apart from MealDB's ids
+     */
+    createMyRecipeId() {
+        return `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+    }
+
+    /**
+     * Delete one of My recipes everywhere it is shown, including the
+     * snapshots favorites and the meal plan keep of it
+     */
+    deleteMyRecipe(recipeId) {
+        this.state.myRecipes.delete(recipeId);
+        this.saveMyRecipes();
+        this.state.recipeDetails.delete(recipeId);
+        this.timeEstimates.delete(recipeId);
+        this.nutritionEstimates.delete(recipeId);
+
+        if (this.state.favorites.has(recipeId)) {
+            this.removeFavorite(recipeId);
+            if (this.state.currentView === 'favorites') this.renderFavorites();
+        }
+
+        if (this.mealPlanner.removeRecipe(recipeId) > 0) this.saveMealPlan();
+
+        if (this.currentRecipe && this.currentRecipe.idMeal === recipeId) this.closeModal();
+
+        const before = this.state.allRecipes.length;
+        this.state.allRecipes = this.state.allRecipes.filter(recipe => recipe.idMeal !== recipeId);
+        if (this.state.allRecipes.length !== before) this.applyFilters();
+
+        this.renderMyRecipes();
+        this.showToast('Recipe deleted');
+    }
+
+    /**
+     * Add recipes from JSON-LD or Markdown files to My recipes
+     */
+    async importRecipeFiles(files) {
+        const imported = [];
+
+        for (const file of files) {
+            try {
+                const recipes = this.recipeFormats.parse(await file.text());
+                recipes.forEach(recipe => {
+                    const idMeal = this.createMyRecipeId();
+                    this.state.myRecipes.set(idMeal, { recipe: { ...recipe, idMeal }, addedAt: Date.now() });
+                    imported.push(idMeal);
+                });
+            } catch (error) {
+                console.error(`Error importing ${file.name}:`, error);
+                this.showToast(`Couldn't find a recipe in ${file.name}`);
+            }
+        }
+
+        if (imported.length === 0) return;
+
+        if (!this.saveMyRecipes('Not enough storage on this device to import these recipes')) {
+            // Keep memory in step with storage so nothing vanishes on reload
+            imported.forEach(idMeal => this.state.myRecipes.delete(idMeal));
+            this.syncMyRecipeProvider();
+            return;
+        }
+
+        this.renderMyRecipes();
+        this.showToast(`Imported ${imported.length} recipe${imported.length !== 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Render the My recipes view
+     */
+    renderMyRecipes() {
+        const container = document.getElementById('my-recipes-grid');
+        const emptyState = document.getElementById('my-recipes-empty');
+        const count = document.getElementById('my-recipes-count');
+        if (!container) return;
+
+        const entries = Array.from(this.state.myRecipes.values())
+            .sort((a, b) => b.addedAt - a.addedAt);
+
+        if (count) {
+            count.textContent = `${entries.length} recipe${entries.length !== 1 ? 's' : ''}`;
+        }
+        if (emptyState) emptyState.classList.toggle('hidden', entries.length > 0);
+
+        container.innerHTML = entries.map(({ recipe }) => 
+            this.renderRecipeCard(recipe, { removable: true })
+        ).join('');
+
+        this.bindRecipeCards(container);
+
+        container.querySelectorAll('.card-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteMyRecipe(btn.dataset.recipeId);
+            });
+        });
+    }
+
+    // ===== RECIPE EDITOR =====
+
+    /**
+     * Open the editor for a new recipe, or to change one of My recipes
+     */
+    openRecipeEditor(recipeId = null) {
+        const overlay = document.getElementById('recipe-editor');
+        const form = document.getElementById('recipe-editor-form');
+        if (!overlay || !form) return;
+
+        const recipe = this.state.myRecipes.get(recipeId)?.recipe;
+        this.state.editor = { open: true, recipeId: recipe ? recipeId : null, image: recipe?.strMealThumb || '' };
+
+        form.reset();
+        form.elements['editor-name'].value = recipe?.strMeal || '';
+        form.elements['editor-category'].value = recipe?.strCategory || '';
+        form.elements['editor-area'].value = recipe?.strArea || '';
+        form.elements['editor-servings'].value = recipe ? this.getBaseServings(recipe) : this.defaultServings;
+        form.elements['editor-instructions'].value = recipe ? this.getInstructionSteps(recipe).join('\n') : '';
+        form.elements['editor-tags'].value = (recipe?.strTags || '').split(',').filter(Boolean).join(', ');
+
+        this.fillDatalist('editor-categories', this.categories);
+        this.fillDatalist('editor-areas', this.areas);
+        this.fillDatalist('editor-ingredient-names', this.searchableIngredients);
+
+        const list = document.getElementById('editor-ingredients');
+        if (list) list.innerHTML = '';
+        const ingredients = recipe ? this.extractIngredients(recipe) : [];
+        ingredients.forEach(({ name, measure }) => this.addEditorIngredientRow(name, measure));
+        for (let i = ingredients.length; i < 3; i++) this.addEditorIngredientRow();
+
+        const title = document.getElementById('editor-title');
+        const deleteBtn = document.getElementById('editor-delete');
+        if (title) title.textContent = recipe ? 'Edit recipe' : 'New recipe';
+        if (deleteBtn) deleteBtn.classList.toggle('hidden', !recipe);
+
+        this.updateEditorImage();
+        overlay.classList.remove('hidden');
+        form.elements['editor-name'].focus();
+    }
+
+    closeRecipeEditor() {
+        const overlay = document.getElementById('recipe-editor');
+        if (overlay) overlay.classList.add('hidden');
+        this.state.editor = { open: false, recipeId: null, image: '' };
+    }
+
+    /**
+     * Suggestions for a free-text editor field
+     */
+    fillDatalist(listId, values) {
+        const datalist = document.getElementById(listId);
+        if (!datalist || datalist.options.length === values.length) return;
+
+        datalist.innerHTML = '';
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Append an amount + ingredient row, up to MealDB's twenty
+     */
+    addEditorIngredientRow(name = '', measure = '') {
+        const list = document.getElementById('editor-ingredients');
+        if (!list) return;
+
+        if (list.children.length >= 20) {
+            this.showToast('Recipes can have up to 20 ingredients');
+            return;
+        }
+
+        const row = document.createElement('li');
+        row.className = 'editor-ingredient';
+        row.innerHTML = `
+            <input type="text" class="form-control editor-measure" placeholder="Amount" aria-label="Amount">
+            <input type="text" class="form-control editor-ingredient-name" placeholder="Ingredient" aria-label="Ingredient" list="editor-ingredient-names">
+            <button class="item-remove" type="button" aria-label="Remove ingredient">✕</button>
+        `;
+        // Set as properties so quotes in names can't break the markup
+        row.querySelector('.editor-measure').value = measure;
+        row.querySelector('.editor-ingredient-name').value = name;
+        list.appendChild(row);
+        return row;
+    }
+
+    /**
+     * Show the chosen photo, or the placeholder without one
+     */
+    updateEditorImage() {
+        const preview = document.getElementById('editor-image-preview');
+        const removeBtn = document.getElementById('editor-image-remove');
+        const { image } = this.state.editor;
+
+        if (preview) preview.src = this.getRecipeImage({ strMealThumb: image });
+        if (removeBtn) removeBtn.classList.toggle('hidden', !image);
+    }
+
+    /**
+     * Use a photo from disk, shrunk so it fits in localStorage
+     */
+    async setEditorImage(file) {
+        try {
+            this.state.editor.image = await this.resizeImage(file, 640);
+            this.updateEditorImage();
+        } catch (error) {
+            console.error('Error reading recipe photo:', error);
+            this.showToast(`Couldn't read ${file.name}`);
+        }
+    }
+
+    /**
+     * JPEG data URL of an image file, no larger than `maxSize` on either side
+     */
+    resizeImage(file, maxSize) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(file);
+            const image = new Image();
+
+            image.onload = () => {
+                const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.naturalWidth * scale);
+                canvas.height = Math.round(image.naturalHeight * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                resolve(canvas.toDataURL('image/jpeg', 0.8));
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error(`Not an image: ${file.name}`));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Save the editor as a MealDB-shaped recipe in My recipes and open it
+     */
+    saveRecipeEditor() {
+        const form = document.getElementById('recipe-editor-form');
+        if (!form) return;
+
+        const ingredients = Array.from(form.querySelectorAll('.editor-ingredient'))
+            .map(row => ({
+                name: row.querySelector('.editor-ingredient-name').value.trim(),
+                measure: row.querySelector('.editor-measure').value.trim()
+            }))
+            .filter(ingredient => ingredient.name);
+
+        if (ingredients.length === 0) {
+            this.showToast('Add at least one ingredient');
+            return;
+        }
+
+        const value = name => form.elements[name].value.trim();
+        const existing = this.state.myRecipes.get(this.state.editor.recipeId);
+        const servings = parseInt(value('editor-servings'), 10);
+
+        const recipe = {
+            // Keep fields the editor doesn't show, like an imported source link
+            ...existing?.recipe,
+            idMeal: existing ? existing.recipe.idMeal : this.createMyRecipeId(),
+            strMeal: value('editor-name'),
+            strMealThumb: this.state.editor.image,
+            strCategory: value('editor-category'),
+            strArea: value('editor-area'),
+            strTags: value('editor-tags').split(',').map(tag => tag.trim()).filter(Boolean).join(','),
+            strInstructions: this.recipeFormats.getSteps(value('editor-instructions')).join('\r\n'),
+            strServings: servings > 0 ? String(servings) : ''
+        };
+
+        for (let i = 1; i <= 20; i++) {
+            recipe[`strIngredient${i}`] = ingredients[i - 1]?.name || '';
+            recipe[`strMeasure${i}`] = ingredients[i - 1]?.measure || '';
+        }
+
+        this.state.myRecipes.set(recipe.idMeal, { recipe, addedAt: existing ? existing.addedAt : Date.now() });
+
+        const failureMessage = recipe.strMealThumb
+            ? 'Not enough storage on this device. Try removing the photo.'
+            : 'Not enough storage on this device to save this recipe';
+        if (!this.saveMyRecipes(failureMessage)) {
+            // Leave the editor open with the user's work, and memory as stored
+            if (existing) {
+                this.state.myRecipes.set(recipe.idMeal, existing);
+            } else {
+                this.state.myRecipes.delete(recipe.idMeal);
+            }
+            this.syncMyRecipeProvider();
+            return;
+        }
+
+        this.refreshMyRecipe(recipe);
+        this.closeRecipeEditor();
+        this.renderMyRecipes();
+        this.showToast(existing ? 'Recipe updated' : 'Recipe added to My recipes');
+        this.showRecipeModal(recipe.idMeal);
+    }
+
+    /**
+     * Drop cached copies of an edited recipe so every view shows the new one
+     */
+    refreshMyRecipe(recipe) {
+        this.timeEstimates.delete(recipe.idMeal);
+        this.nutritionEstimates.delete(recipe.idMeal);
+
+        if (this.state.favorites.has(recipe.idMeal)) {
+            this.state.favorites.get(recipe.idMeal).recipe = recipe;
+            this.saveFavorites();
+        }
+
+        if (this.storeRecipeDetails(recipe)) this.applyFilters();
+    }
+
+    // ===== EXPORT =====
+
+    /**
+     * Download the open recipe as shown: current servings, units and substitutes
+     */
+    exportCurrentRecipe(format) {
+        if (!this.currentRecipe) return;
+
+        const entry = {
+            recipe: this.currentRecipe,
+            servings: this.state.currentServings,
+            ingredients: this.getScaledIngredients().map(({ name, measure }) => ({ name, measure }))
+        };
+        this.downloadRecipes([entry], format, this.currentRecipe.strMeal);
+    }
+
+    /**
+     * Download every favorite at its own yield, in the chosen units
+     */
+    exportFavorites(format) {
+        const entries = Array.from(this.state.favorites.values()).map(({ recipe }) => ({
+            recipe,
+            servings: this.getBaseServings(recipe),
+            ingredients: this.getParsedIngredients(recipe).map(({ name, parsed }) => ({
+                name,
+                measure: this.measureParser.format(this.unitConverter.convert(parsed, this.state.unitSystem, name))
+            }))
+        }));
+
+        if (entries.length === 0) {
+            this.showToast('You have no favorites to export');
+            return;
+        }
+        this.downloadRecipes(entries, format, 'favorite-recipes');
+    }
+
+    /**
+     * Offer recipes as a JSON-LD, Markdown or plain text file
+     */
+    downloadRecipes(entries, format, name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'recipe';
+
+        if (format === 'jsonld') {
+            this.downloadFile(`${slug}.jsonld`, this.recipeFormats.toJsonLdDocument(entries), 'application/ld+json');
+        } else if (format === 'markdown') {
+            this.downloadFile(`${slug}.md`, this.recipeFormats.toMarkdown(entries), 'text/markdown');
+        } else {
+            this.downloadFile(`${slug}.txt`, this.recipeFormats.toText(entries), 'text/plain');
+        }
+    }
+
+    // ===== VIEWS =====
+
+    /**
+     * Switch between the main app views
+     */
+    switchView(view) {
+        this.state.currentView = view;
+
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            const active = tab.dataset.view === view;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', active.toString());
+        });
+
+        document.querySelectorAll('[data-view-panel]').forEach(panel => {
+            panel.classList.toggle('hidden', panel.dataset.viewPanel !== view);
+        });
+
+        if (view === 'favorites') this.renderFavorites();
+        if (view === 'mine') this.renderMyRecipes();
+        if (view === 'shopping') this.renderShoppingList();
+        if (view === 'planner') this.renderPlanner();
+        if (view === 'pantry') this.renderPantry();
+    }
+
+    // ===== PANTRY =====
+
+    /**
+     * Restore the pantry from localStorage
+     */
+    loadPantry() {
+        const items = this.loadFromStorage(this.storageKeys.pantry, []);
+        this.pantry = new Pantry(Array.isArray(items) ? items : []);
+    }
+
+    /**
+     * Persist the pantry and refresh everything that depends on it
+     */
+    savePantry() {
+        this.saveToStorage(this.storageKeys.pantry, this.pantry.toJSON());
+        this.renderPantry();
+        this.renderExpiringSuggestions();
+
+        // Missing ingredient counts change with the pantry
+        if (this.state.allRecipes.length > 0 && !this.state.isLoading) this.applyFilters();
+    }
+
+    /**
+     * Describe how soon a pantry item expires
+     */
+    formatExpiry(item) {
+        const days = this.pantry.daysUntilExpiry(item);
+        if (days === null) return '';
+        if (days < 0) return `expired ${-days} day${days !== -1 ? 's' : ''} ago`;
+        if (days === 0) return 'expires today';
+        if (days === 1) return 'expires tomorrow';
+        return `expires in ${days} days`;
+    }
+
+    /**
+     * Render the pantry view
+     */
+    renderPantry() {
+        const list = document.getElementById('pantry-list');
+        const emptyState = document.getElementById('pantry-empty');
+        if (!list) return;
+
+        const items = this.pantry.sorted();
+        if (emptyState) emptyState.classList.toggle('hidden', items.length > 0);
+
+        list.innerHTML = items.map(item => {
+            const days = this.pantry.daysUntilExpiry(item);
+            const status = days === null ? '' : days < 0 ? 'expired' : days <= 3 ? 'expiring' : '';
+            return `
+                <li class="pantry-item ${status}">
+                    <span class="pantry-name">${this.escapeHtml(item.name)}</span>
+                    ${item.quantity ? `<span class="pantry-quantity">${this.escapeHtml(item.quantity)}</span>` : ''}
+                    ${item.expires ? `<span class="pantry-expiry">${this.formatExpiry(item)}</span>` : ''}
+                    <button class="item-remove" data-id="${this.escapeHtml(item.id)}" type="button" aria-label="Remove ${this.escapeHtml(item.name)}">×</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Suggest pantry items close to expiry as search chips on the empty screen
+     */
+    renderExpiringSuggestions() {
+        const container = document.getElementById('expiring-suggestions');
+        if (!container) return;
+
+        const expiring = this.pantry.getExpiringSoon().slice(0, 6);
+        container.classList.toggle('hidden', expiring.length === 0);
+
+        const chips = container.querySelector('.suggestion-chips');
+        if (chips) {
+            chips.innerHTML = expiring.map(item => {
+                const name = this.escapeHtml(item.name);
+                return `<button class="suggestion-chip expiring-chip" data-ingredients="${name}" title="${this.formatExpiry(item)}">${name}</button>`;
+            }).join('');
+        }
+    }
+
+    // ===== MEAL PLANNER =====
+
+    /**
+     * Restore the meal plan from localStorage
+     */
+    loadMealPlan() {
+        const slots = this.loadFromStorage(this.storageKeys.mealPlan, {});
+        this.mealPlanner = new MealPlanner(slots && typeof slots === 'object' ? slots : {});
+        this.state.planner.weekStart = this.mealPlanner.getWeekStart();
+    }
+
+    /**
+     * Persist the meal plan and refresh the planner
+     */
+    saveMealPlan() {
+        this.saveToStorage(this.storageKeys.mealPlan, this.mealPlanner.toJSON());
+        if (this.state.currentView === 'planner') this.renderPlanner();
+    }
+
+    /**
+     * Move the planner by a number of weeks; 0 returns to this week
+     */
+    shiftPlannerWeek(weeks) {
+        this.state.planner.weekStart = weeks === 0
+            ? this.mealPlanner.getWeekStart()
+            : this.mealPlanner.shiftWeek(this.state.planner.weekStart, weeks);
+        this.renderPlanner();
+    }
+
+    /**
+     * Plan a recipe in a slot, or move one between slots
+     */
+    async placeRecipeInSlot(slotKey, recipeId, fromSlot = null) {
+        if (fromSlot) {
+            this.mealPlanner.moveSlot(fromSlot, slotKey);
+            this.saveMealPlan();
+            return;
+        }
+
+        try {
+            const recipe = await this.resolveRecipe(recipeId);
+            this.state.recipeDetails.set(recipe.idMeal, recipe);
+            this.mealPlanner.setSlot(slotKey, this.toRecipeSnapshot(recipe));
+            this.saveMealPlan();
+        } catch (error) {
+            console.error('Error planning recipe:', error);
+            this.showToast('Unable to add that recipe to your plan');
+        }
+    }
+
+    /**
+     * Strip search-only fields before storing a recipe
+     */
+    toRecipeSnapshot(recipe) {
+        const { matchingIngredients, ...snapshot } = recipe;
+        return snapshot;
+    }
+
+    /**
+     * Recipes offered in the planner tray
+     */
+    getTrayRecipes() {
+        const sources = {
+            results: () => this.state.filteredRecipes,
+            favorites: () => Array.from(this.state.favorites.values()).map(entry => entry.recipe),
+            random: () => this.state.planner.randomPicks
+        };
+        return (sources[this.state.planner.tray] || sources.results)();
+    }
+
+    /**
+     * Fetch a random recipe into the tray
+     */
+    async addRandomToTray() {
+        try {
+            const recipe = await this.fetchRandomRecipe();
+            this.state.recipeDetails.set(recipe.idMeal, recipe);
+            this.state.planner.randomPicks = [
+                recipe,
+                ...this.state.planner.randomPicks.filter(pick => pick.idMeal !== recipe.idMeal)
+            ].slice(0, 12);
+            this.state.planner.tray = 'random';
+            this.renderPlannerTray();
+        } catch (error) {
+            console.error('Error fetching random recipe:', error);
+            this.showToast('Failed to load a random recipe. Please try again.');
+        }
+    }
+
+    /**
+     * Fill the week's empty slots with recipes that pass the current filters,
+     * using search results first and random recipes for the rest
+     */
+    async fillEmptySlots() {
+        // A second click while filling would race for the same empty slots
+        if (this.state.planner.isFilling) return;
+        const fillBtn = document.getElementById('planner-fill');
+        this.state.planner.isFilling = true;
+        if (fillBtn) fillBtn.disabled = true;
+
+        try {
+            const weekStart = this.state.planner.weekStart;
+            const emptySlots = this.mealPlanner.getEmptySlots(weekStart);
+            if (emptySlots.length === 0) {
+                this.showToast('Every slot this week is already planned');
+                return;
+            }
+
+            const planned = new Set(this.mealPlanner.getWeekRecipes(weekStart).map(recipe => recipe.idMeal));
+            const candidates = this.state.filteredRecipes.filter(recipe => !planned.has(recipe.idMeal));
+
+            // Top up with random recipes, a few requests at a time
+            let attempts = emptySlots.length * 4;
+            while (candidates.length < emptySlots.length && attempts > 0) {
+                const batch = Math.min(this.api.lookupConcurrency, attempts);
+                attempts -= batch;
+
+                const results = await Promise.allSettled(
+                    Array.from({ length: batch }, () => this.fetchRandomRecipe())
+                );
+                results.forEach(result => {
+                    if (result.status !== 'fulfilled') return;
+
+                    const recipe = result.value;
+                    if (planned.has(recipe.idMeal)) return;
+                    if (candidates.some(candidate => candidate.idMeal === recipe.idMeal)) return;
+                    if (!this.passesRecipeFilters(recipe)) return;
+
+                    this.state.recipeDetails.set(recipe.idMeal, recipe);
+                    candidates.push(recipe);
+                });
+            }
+
+            const shuffled = candidates
+                .map(recipe => ({ recipe, order: Math.random() }))
+                .sort((a, b) => a.order - b.order)
+                .map(entry => entry.recipe);
+
+            let filled = 0;
+            for (const slotKey of emptySlots) {
+                if (shuffled.length === 0) break;
+
+                // Breakfast slots prefer breakfast recipes when there are any
+                const meal = slotKey.split(':')[1];
+                let index = meal === 'breakfast'
+                    ? shuffled.findIndex(recipe => recipe.strCategory === 'Breakfast')
+                    : -1;
+                if (index === -1) index = 0;
+
+                const [recipe] = shuffled.splice(index, 1);
+                try {
+                    const details = await this.resolveRecipe(recipe.idMeal);
+                    this.mealPlanner.setSlot(slotKey, this.toRecipeSnapshot(details));
+                    filled++;
+                } catch (error) {
+                    console.error(`Error planning recipe ${recipe.idMeal}:`, error);
+                }
+            }
+
+            this.saveMealPlan();
+            this.showToast(filled === emptySlots.length
+                ? `Filled ${filled} slot${filled !== 1 ? 's' : ''}`
+                : `Filled ${filled} of ${emptySlots.length} slots. Try loosening your filters.`);
+        } finally {
+            this.state.planner.isFilling = false;
+            if (fillBtn) fillBtn.disabled = false;
+        }
+    }
+
+    /**
+     * Add every recipe in the week to the shopping list
+     */
+    addWeekToShoppingList() {
+        const recipes = this.mealPlanner.getWeekRecipes(this.state.planner.weekStart);
+        if (recipes.length === 0) {
+            this.showToast('Plan some meals first');
+            return;
+        }
+
+        const added = recipes.reduce((total, recipe) => total + this.shoppingList.addRecipe(
+            recipe.strMeal,
+            this.getParsedIngredients(recipe),
+            (name) => this.isIngredientOnHand(name)
+        ), 0);
+        this.saveShoppingList();
+        this.showToast(`Added ${added} item${added !== 1 ? 's' : ''} from ${recipes.length} planned meal${recipes.length !== 1 ? 's' : ''}`);
+    }
+
+    /**
+     * Empty the week shown in the planner
+     */
+    clearPlannerWeek() {
+        this.mealPlanner.clearWeek(this.state.planner.weekStart);
+        this.saveMealPlan();
+    }
+
+    /**
+     * Render the planner grid and tray
+     */
+    renderPlanner() {
+        const grid = document.getElementById('planner-grid');
+        const label = document.getElementById('planner-week-label');
+        if (!grid) return;
+
+        const days = this.mealPlanner.getWeekDays(this.state.planner.weekStart);
+        const today = this.mealPlanner.formatDate(new Date());
+        const formatDay = (day, options) => day.toLocaleDateString(undefined, options);
+
+        if (label) {
+            label.textContent = `${formatDay(days[0], { month: 'short', day: 'numeric' })} – ${formatDay(days[6], { month: 'short', day: 'numeric' })}`;
+        }
+
+        const header = days.map(day => `
+            <div class="planner-day ${this.mealPlanner.formatDate(day) === today ? 'today' : ''}">
+                <span class="planner-weekday">${formatDay(day, { weekday: 'short' })}</span>
+                <span class="planner-date">${formatDay(day, { month: 'short', day: 'numeric' })}</span>
+            </div>
+        `).join('');
+
+        const rows = this.mealPlanner.meals.map(meal => `
+            <div class="planner-meal">${meal}</div>
+            ${days.map(day => this.renderPlanSlot(this.mealPlanner.getSlotKey(day, meal))).join('')}
+        `).join('');
+
+        grid.innerHTML = `<div class="planner-corner"></div>${header}${rows}`;
+        this.renderPlannerTray();
+    }
+
+    /**
+     * Render one planner slot
+     */
+    renderPlanSlot(slotKey) {
+        const recipe = this.mealPlanner.getSlot(slotKey);
+
+        if (!recipe) {
+            return `<div class="plan-slot empty" data-slot="${slotKey}">Drop a recipe</div>`;
+        }
+
+        const name = this.escapeHtml(recipe.strMeal);
+        return `
+            <div class="plan-slot" data-slot="${slotKey}">
+                <div class="slot-recipe" draggable="true" data-drag-recipe="${this.escapeHtml(recipe.idMeal)}" data-from-slot="${slotKey}" title="${name}">
+                    <img src="${this.escapeHtml(this.getRecipeImage(recipe))}" alt="" class="slot-image" loading="lazy">
+                    <span class="slot-title">${name}</span>
+                </div>
+                <button class="slot-remove" data-slot="${slotKey}" type="button" aria-label="Remove ${name}">×</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the recipe tray beside the planner grid
+     */
+    renderPlannerTray() {
+        const list = document.getElementById('planner-tray-list');
+        if (!list) return;
+
+        document.querySelectorAll('.tray-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tray === this.state.planner.tray);
+        });
+
+        const recipes = this.getTrayRecipes();
+        const emptyMessages = {
+            results: 'Search for recipes to see them here.',
+            favorites: 'Save some favorites to see them here.',
+            random: 'Tap "Random recipe" for inspiration.'
+        };
+
+        if (recipes.length === 0) {
+            list.innerHTML = `<p class="tray-empty">${emptyMessages[this.state.planner.tray]}</p>`;
+            return;
+        }
+
+        list.innerHTML = recipes.map(recipe => {
+            const id = this.escapeHtml(recipe.idMeal);
+            return `
+                <div class="tray-item ${this.state.planner.selection === recipe.idMeal ? 'selected' : ''}" draggable="true" data-drag-recipe="${id}" data-recipe-id="${id}">
+                    <img src="${this.escapeHtml(this.getRecipeImage(recipe))}" alt="" class="tray-image" loading="lazy">
+                    <span class="tray-title">${this.escapeHtml(recipe.strMeal)}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // ===== SHOPPING LIST =====
+
+    /**
+     * Restore the shopping list from localStorage
      */
-    openModal() {
-        const modal = document.getElementById('modal-overlay');
-        if (modal) {
-            modal.classList.remove('hidden');
-            document.body.style.overflow = 'hidden';
-        }
+    loadShoppingList() {
+        const items = this.loadFromStorage(this.storageKeys.shoppingList, []);
+        this.shoppingList = new ShoppingList(
+            this.measureParser,
+            this.unitConverter,
+            this.ingredientNormalizer,
+            Array.isArray(items) ? items : []
+        );
+        this.updateShoppingCount();
     }
 
     /**
-     * Close modal
+     * Persist the shopping list and refresh its view
      */
-    closeModal() {
-        const modal = document.getElementById('modal-overlay');
-        if (modal) {
-            modal.classList.add('hidden');
-            document.body.style.overflow = '';
-            this.currentRecipe = null;
-        }
+    saveShoppingList() {
+        this.saveToStorage(this.storageKeys.shoppingList, this.shoppingList.toJSON());
+        this.updateShoppingCount();
+        if (this.state.currentView === 'shopping') this.renderShoppingList();
     }
 
     /**
-     * Render recipe modal
+     * Check whether the user already has an ingredient
      */
-    renderRecipeModal(recipe) {
-        // Update basic info
-        const elements = {
-            title: document.getElementById('modal-recipe-title'),
-            image: document.getElementById('modal-recipe-image'),
-            category: document.getElementById('modal-recipe-category'),
-            area: document.getElementById('modal-recipe-area')
-        };
-
-        if (elements.title) elements.title.textContent = recipe.strMeal;
-        if (elements.image) {
-            elements.image.src = recipe.strMealThumb;
-            elements.image.alt = recipe.strMeal;
-        }
-        if (elements.category) elements.category.textContent = recipe.strCategory || '';
-        if (elements.area) elements.area.textContent = recipe.strArea || '';
+    isIngredientOnHand(name) {
+        return [...this.state.selectedIngredients, ...this.pantry.items.map(item => item.name)]
+            .some(term => this.ingredientMatches(name, term));
+    }
 
-        // Process ingredients
-        const ingredients = [];
-        for (let i = 1; i <= 20; i++) {
-            const ingredient = recipe[`strIngredient${i}`];
-            const measure = recipe[`strMeasure${i}`];
-            
-            if (ingredient && ingredient.trim()) {
-                ingredients.push(`${measure ? measure.trim() + ' ' : ''}${ingredient.trim()}`);
-            }
-        }
+    /**
+     * Add the open recipe's ingredients at the current servings
+     */
+    addCurrentRecipeToShoppingList() {
+        if (!this.currentRecipe) return;
 
-        const ingredientsList = document.getElementById('modal-ingredients');
-        if (ingredientsList) {
-            ingredientsList.innerHTML = ingredients
-                .map(ing => `<li>${ing}</li>`)
-                .join('');
-        }
+        const added = this.shoppingList.addRecipe(
+            this.currentRecipe.strMeal,
+            this.getScaledIngredients(),
+            (name) => this.isIngredientOnHand(name)
+        );
+        this.saveShoppingList();
 
-        // Process instructions
-        const instructions = recipe.strInstructions
-            .split(/\r?\n/)
-            .filter(line => line.trim())
-            .map((line, index) => `
-                <div class="instruction-step">
-                    <span class="step-number">${index + 1}</span>
-                    <p>${line.trim()}</p>
-                </div>
-            `).join('');
-        
-        const instructionsContainer = document.getElementById('modal-instructions');
-        if (instructionsContainer) {
-            instructionsContainer.innerHTML = instructions;
-        }
+        this.showToast(added > 0
+            ? `Added ${added} item${added !== 1 ? 's' : ''} to your shopping list`
+            : 'You already have everything for this recipe');
+    }
 
-        // Update favorite status
-        const favoriteBtn = document.getElementById('favorite-btn');
-        const heartIcon = favoriteBtn?.querySelector('.heart-icon');
-        if (favoriteBtn && heartIcon) {
-            if (this.state.favorites.has(recipe.idMeal)) {
-                heartIcon.textContent = '❤️';
-                favoriteBtn.classList.add('favorited');
-            } else {
-                heartIcon.textContent = '🤍';
-                favoriteBtn.classList.remove('favorited');
-            }
-        }
+    /**
+     * Update the unchecked item count on the shopping tab
+     */
+    updateShoppingCount() {
+        const badge = document.getElementById('shopping-count');
+        if (!badge) return;
 
-        // Process external links
-        const links = [];
-        if (recipe.strSource) {
-            links.push(`<a href="${recipe.strSource}" target="_blank">View Original Recipe</a>`);
-        }
-        if (recipe.strYoutube) {
-            links.push(`<a href="${recipe.strYoutube}" target="_blank">Watch Video Tutorial</a>`);
-        }
-        
-        const linksContainer = document.getElementById('modal-links');
-        if (linksContainer) {
-            linksContainer.innerHTML = links.join('');
-        }
+        const remaining = this.shoppingList.items.filter(item => !item.checked).length;
+        badge.textContent = remaining.toString();
+        badge.classList.toggle('hidden', remaining === 0);
     }
 
-    // ===== RECIPE ACTIONS =====
-
     /**
-     * Adjust servings
+     * Render the shopping list view
      */
-    adjustServings(change) {
-        this.state.currentServings = Math.max(1, this.state.currentServings + change);
-        const servingCount = document.getElementById('serving-count');
-        if (servingCount) {
-            servingCount.textContent = this.state.currentServings.toString();
-        }
+    renderShoppingList() {
+        const container = document.getElementById('shopping-list');
+        const emptyState = document.getElementById('shopping-empty');
+        if (!container) return;
+
+        const groups = this.shoppingList.grouped();
+        if (emptyState) emptyState.classList.toggle('hidden', groups.length > 0);
+
+        container.innerHTML = groups.map(({ aisle, items }) => `
+            <div class="aisle-group">
+                <h4 class="aisle-title">${aisle}</h4>
+                <ul class="shopping-items">
+                    ${items.map(item => `
+                        <li class="shopping-item ${item.checked ? 'checked' : ''}">
+                            <label class="shopping-label">
+                                <input type="checkbox" class="shopping-check" data-key="${this.escapeHtml(item.key)}" ${item.checked ? 'checked' : ''}>
+                                <span class="shopping-text">${this.escapeHtml(this.shoppingList.formatItem(item))}</span>
+                            </label>
+                            ${item.recipes.length ? `<span class="item-recipes">${this.escapeHtml(item.recipes.join(', '))}</span>` : ''}
+                            <button class="item-remove" data-key="${this.escapeHtml(item.key)}" type="button" aria-label="Remove ${this.escapeHtml(item.name)}">×</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
     }
 
     /**
-     * Toggle favorite
+     * Download the shopping list as plain text or Markdown
      */
-    toggleFavorite() {
-        if (!this.currentRecipe) return;
-        
-        const recipeId = this.currentRecipe.idMeal;
-        const favoriteBtn = document.getElementById('favorite-btn');
-        const heartIcon = favoriteBtn?.querySelector('.heart-icon');
-        
-        if (this.state.favorites.has(recipeId)) {
-            this.state.favorites.delete(recipeId);
-            if (heartIcon) heartIcon.textContent = '🤍';
-            favoriteBtn?.classList.remove('favorited');
-            this.showToast('Removed from favorites');
+    exportShoppingList(format) {
+        if (this.shoppingList.items.length === 0) {
+            this.showToast('Your shopping list is empty');
+            return;
+        }
+
+        if (format === 'markdown') {
+            this.downloadFile('shopping-list.md', this.shoppingList.toMarkdown(), 'text/markdown');
         } else {
-            this.state.favorites.add(recipeId);
-            if (heartIcon) heartIcon.textContent = '❤️';
-            favoriteBtn?.classList.add('favorited');
-            this.showToast('Added to favorites!');
+            this.downloadFile('shopping-list.txt', this.shoppingList.toText(), 'text/plain');
         }
     }
 
@@ -776,17 +3620,18 @@ class PremiumRecipeFinderApp {
     shareRecipe() {
         if (!this.currentRecipe) return;
         
+        const hash = `#/recipe/${encodeURIComponent(this.currentRecipe.idMeal)}`;
         const shareData = {
             title: this.currentRecipe.strMeal,
             text: `Check out this amazing recipe: ${this.currentRecipe.strMeal}`,
-            url: window.location.href
+            url: new URL(this.buildUrl(hash), window.location.href).href
         };
         
         if (navigator.share) {
             navigator.share(shareData);
         } else {
             navigator.clipboard?.writeText(
-                `${shareData.title}\n${shareData.text}`
+                `${shareData.title}\n${shareData.text}\n${shareData.url}`
             ).then(() => {
                 this.showToast('Recipe link copied to clipboard!');
             }).catch(() => {
@@ -797,8 +3642,15 @@ class PremiumRecipeFinderApp {
 
     // ===== TIMER FUNCTIONALITY =====
 
+    /**
+     * Open the new-timer dialog, labelled after the open recipe
+     */
     showTimerModal() {
         const modal = document.getElementById('timer-modal');
+        const label = document.getElementById('timer-label');
+
+        if (label) label.value = this.currentRecipe ? this.currentRecipe.strMeal : '';
+        this.updateTimerDisplay();
         if (modal) modal.classList.remove('hidden');
     }
 
@@ -807,49 +3659,234 @@ class PremiumRecipeFinderApp {
         if (modal) modal.classList.add('hidden');
     }
 
-    setTimer(seconds) {
-        this.state.timerState.timeRemaining = seconds;
+    /**
+     * Choose the length of the next timer
+     */
+    setTimerDraft(seconds) {
+        this.state.timerDraftSeconds = Math.min(Math.max(seconds, 60), 24 * 60 * 60);
         this.updateTimerDisplay();
     }
 
-    startTimer() {
-        if (this.state.timerState.timeRemaining <= 0) this.setTimer(300);
-        
-        this.state.timerState.isRunning = true;
-        this.state.timerState.interval = setInterval(() => this.tickTimer(), 1000);
+    /**
+     * Start a timer with the dialog's label and length
+     */
+    startTimerFromModal() {
+        const label = document.getElementById('timer-label');
+        this.addTimer(label ? label.value : '', this.state.timerDraftSeconds);
+        this.hideTimerModal();
+    }
+
+    /**
+     * Start a new labelled timer
+     */
+    addTimer(label, seconds, options = {}) {
+        const timer = this.kitchenTimers.add(label, seconds, options);
+        const reminder = timer.reminder ? `, check at ${this.kitchenTimers.format(timer.reminder)}` : '';
+
+        this.prepareTimerAlerts();
+        this.saveTimers();
+        this.showToast(`⏲️ ${timer.label}: ${this.kitchenTimers.format(timer.duration)}${reminder}`);
+    }
+
+    /**
+     * Pause, resume, restart or remove a timer from the dock
+     */
+    handleTimerAction(id, action) {
+        if (action !== 'remove') this.prepareTimerAlerts();
+        if (action === 'pause') this.kitchenTimers.pause(id);
+        if (action === 'resume') this.kitchenTimers.resume(id);
+        if (action === 'restart') this.kitchenTimers.restart(id);
+        if (action === 'remove') this.kitchenTimers.remove(id);
+        this.saveTimers();
     }
 
-    pauseTimer() {
-        if (this.state.timerState.interval) {
-            clearInterval(this.state.timerState.interval);
+    /**
+     * Restore timers, including ones that ran out while the page was closed
+     */
+    loadTimers() {
+        const timers = this.loadFromStorage(this.storageKeys.timers, []);
+        this.kitchenTimers = new KitchenTimers(Array.isArray(timers) ? timers : []);
+
+        // Audio can only start from a user gesture, so restored timers get
+        // their alarm sound on the first click or key press after a reload
+        if (this.kitchenTimers.hasRunning()) {
+            const unlock = () => {
+                document.removeEventListener('pointerdown', unlock, true);
+                document.removeEventListener('keydown', unlock, true);
+                this.prepareTimerAlerts();
+            };
+            document.addEventListener('pointerdown', unlock, true);
+            document.addEventListener('keydown', unlock, true);
         }
-        this.state.timerState.isRunning = false;
-        this.state.timerState.interval = null;
     }
 
-    resetTimer() {
-        this.pauseTimer();
-        this.state.timerState.timeRemaining = 0;
-        this.updateTimerDisplay();
+    /**
+     * Persist timers and refresh the dock
+     */
+    saveTimers() {
+        this.saveToStorage(this.storageKeys.timers, this.kitchenTimers.toJSON());
+        this.renderTimerDock();
+        this.ensureTimerTicker();
+    }
+
+    /**
+     * Tick once a second, but only while something is counting down
+     */
+    ensureTimerTicker() {
+        const running = this.kitchenTimers.hasRunning();
+
+        if (running && !this.timerTicker) {
+            this.timerTicker = setInterval(() => this.tickTimers(), 1000);
+        } else if (!running && this.timerTicker) {
+            clearInterval(this.timerTicker);
+            this.timerTicker = null;
+        }
     }
 
-    tickTimer() {
-        if (this.state.timerState.timeRemaining > 0) {
-            this.state.timerState.timeRemaining--;
-            this.updateTimerDisplay();
+    /**
+     * Fire alarms for finished timers and reminders, then refresh the countdowns
+     */
+    tickTimers() {
+        const finished = this.kitchenTimers.collectFinished();
+        const reminders = this.kitchenTimers.collectReminders();
+
+        if (finished.length > 0 || reminders.length > 0) {
+            finished.forEach(timer => this.fireTimerAlarm(timer));
+            reminders.forEach(timer => this.fireTimerReminder(timer));
+            this.saveTimers();
         } else {
-            this.pauseTimer();
-            this.showToast('⏰ Timer finished! Your food is ready!');
+            this.updateTimerDockTimes();
+            this.ensureTimerTicker();
+        }
+    }
+
+    /**
+     * Ask for notification permission and unlock audio. Browsers only allow
+     * both from a user gesture, so this runs when a timer is started or
+     * changed, and on the first interaction after timers are restored.
+     */
+    prepareTimerAlerts() {
+        if ('Notification' in window && Notification.permission === 'default') {
+            // Older browsers take a callback and return undefined instead of a promise
+            Promise.resolve(Notification.requestPermission()).catch(() => {});
+        }
+
+        const AudioContext = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContext) return;
+
+        if (!this.audioContext) this.audioContext = new AudioContext();
+        if (this.audioContext.state === 'suspended') this.audioContext.resume().catch(() => {});
+    }
+
+    /**
+     * Beep, notify and toast when a timer finishes
+     */
+    fireTimerAlarm(timer) {
+        const title = `⏰ ${timer.label} is done!`;
+
+        this.playAlarm();
+        this.showToast(title);
+        this.notify(title, 'Your kitchen timer has finished.', timer.id);
+    }
+
+    /**
+     * Single beep and a nudge when a ranged step reaches its lower bound
+     */
+    fireTimerReminder(timer) {
+        const left = this.kitchenTimers.format(this.kitchenTimers.getRemaining(timer));
+        const title = `👀 Check ${timer.label}`;
+
+        this.playAlarm(1);
+        this.showToast(`${title} (${left} left)`);
+        this.notify(title, `It may be ready; ${left} left on the timer.`, `${timer.id}-reminder`);
+    }
+
+    /**
+     * Show a system notification when the user has allowed them
+     */
+    notify(title, body, tag) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const options = { body, tag };
+        try {
+            new Notification(title, options);
+        } catch (error) {
+            // Mobile browsers only allow notifications from the service worker
+            navigator.serviceWorker?.ready.then(registration => registration.showNotification(title, options));
         }
     }
 
+    /**
+     * Play short beeps
+     */
+    playAlarm(beeps = 3) {
+        const context = this.audioContext;
+        if (!context) return;
+
+        Array.from({ length: beeps }, (_, i) => i * 0.4).forEach(offset => {
+            const start = context.currentTime + offset;
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.25, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3);
+            oscillator.connect(gain).connect(context.destination);
+            oscillator.start(start);
+            oscillator.stop(start + 0.3);
+        });
+    }
+
+    /**
+     * Render the timer dock
+     */
+    renderTimerDock() {
+        const list = document.getElementById('timer-dock-list');
+        if (!list) return;
+
+        const primaryActions = {
+            running: { action: 'pause', icon: '⏸', label: 'Pause' },
+            paused: { action: 'resume', icon: '▶', label: 'Resume' },
+            done: { action: 'restart', icon: '↻', label: 'Restart' }
+        };
+
+        list.innerHTML = this.kitchenTimers.sorted().map(timer => {
+            const primary = primaryActions[timer.status];
+            const time = timer.status === 'done'
+                ? 'Done!'
+                : this.kitchenTimers.format(this.kitchenTimers.getRemaining(timer));
+
+            const label = this.escapeHtml(timer.label);
+
+            return `
+                <li class="dock-timer ${timer.status}" data-id="${this.escapeHtml(timer.id)}">
+                    <span class="dock-timer-label" title="${label}">${label}</span>
+                    <span class="dock-timer-time">${time}</span>
+                    <button class="dock-timer-btn" data-action="${primary.action}" type="button" aria-label="${primary.label} ${label}">${primary.icon}</button>
+                    <button class="dock-timer-btn" data-action="remove" type="button" aria-label="Remove ${label}">✕</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Update running countdowns in place, so the dock's buttons aren't
+     * replaced under the user's pointer every second
+     */
+    updateTimerDockTimes() {
+        document.querySelectorAll('#timer-dock-list .dock-timer.running').forEach(item => {
+            const timer = this.kitchenTimers.get(item.dataset.id);
+            const time = item.querySelector('.dock-timer-time');
+            if (timer && time) time.textContent = this.kitchenTimers.format(this.kitchenTimers.getRemaining(timer));
+        });
+    }
+
+    /**
+     * Show the length of the next timer in the dialog
+     */
     updateTimerDisplay() {
-        const minutes = Math.floor(this.state.timerState.timeRemaining / 60);
-        const seconds = this.state.timerState.timeRemaining % 60;
-        const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        
         const display = document.getElementById('timer-time');
-        if (display) display.textContent = timeString;
+        if (display) display.textContent = this.kitchenTimers.format(this.state.timerDraftSeconds * 1000);
     }
 
     // ===== RENDER METHODS =====
@@ -888,6 +3925,7 @@ class PremiumRecipeFinderApp {
         
         if (empty) empty.classList.remove('hidden');
         if (resultsCount) resultsCount.textContent = '';
+        this.renderExpiringSuggestions();
     }
 
     /**
@@ -923,40 +3961,100 @@ class PremiumRecipeFinderApp {
         
         if (!container) return;
         
+        if (this.state.filteredRecipes.length === 0 && this.state.hydration.done < this.state.hydration.total) {
+            // Filters may still match once more details arrive
+            this.renderLoadingState();
+            return;
+        }
+
         if (this.state.filteredRecipes.length === 0) {
-            this.renderErrorState('No recipes found with your current ingredients and filters. Try different combinations.');
+            this.renderErrorState(this.state.searchMode === 'name'
+                ? `No recipes named "${this.state.nameQuery}" match your filters. Try another name.`
+                : 'No recipes found with your current ingredients and filters. Try different combinations.');
             return;
         }
 
         const count = this.state.filteredRecipes.length;
+        const { done, total } = this.state.hydration;
         if (resultsCount) {
-            resultsCount.textContent = `Found ${count} delicious recipe${count !== 1 ? 's' : ''}`;
+            resultsCount.textContent = `Found ${count} delicious recipe${count !== 1 ? 's' : ''}` + 
+                (done < total ? ` · loading details ${done}/${total}` : '');
         }
 
-        container.innerHTML = this.state.filteredRecipes.map(recipe => `
-            <div class="recipe-card" data-recipe-id="${recipe.idMeal}" tabindex="0" role="button">
-                <img src="${recipe.strMealThumb}" alt="${recipe.strMeal}" class="recipe-image" loading="lazy">
+        const highlight = this.state.searchMode === 'name' ? this.state.nameQuery : '';
+        container.innerHTML = this.state.filteredRecipes
+            .map(recipe => this.renderRecipeCard(recipe, { highlight }))
+            .join('');
+
+        this.bindRecipeCards(container);
+
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Render a single recipe card
+     */
+    renderRecipeCard(recipe, options = {}) {
+        return `
+            <div class="recipe-card" data-recipe-id="${this.escapeHtml(recipe.idMeal)}" tabindex="0" role="button">
+                ${options.removable ? `
+                    <button class="card-remove" data-recipe-id="${this.escapeHtml(recipe.idMeal)}" type="button" aria-label="Remove ${this.escapeHtml(recipe.strMeal)}">
+                        ×
+                    </button>
+                ` : ''}
+                <img src="${this.escapeHtml(this.getRecipeImage(recipe))}" alt="${this.escapeHtml(recipe.strMeal)}" class="recipe-image" loading="lazy">
                 <div class="recipe-info">
-                    <h3 class="recipe-title">${recipe.strMeal}</h3>
+                    <h3 class="recipe-title">${this.highlightText(recipe.strMeal, options.highlight)}</h3>
                     <div class="recipe-meta-info">
-                        ${recipe.strCategory ? `<span class="meta-tag">${recipe.strCategory}</span>` : ''}
-                        ${recipe.strArea ? `<span class="meta-tag">${recipe.strArea}</span>` : ''}
+                        ${this.state.myRecipes.has(recipe.idMeal) ? '<span class="meta-tag mine-tag">📒 Mine</span>' : ''}
+                        ${recipe.strCategory ? `<span class="meta-tag">${this.escapeHtml(recipe.strCategory)}</span>` : ''}
+                        ${recipe.strArea ? `<span class="meta-tag">${this.escapeHtml(recipe.strArea)}</span>` : ''}
+                        ${recipe.strInstructions ? `<span class="meta-tag time-tag">${this.formatTimeEstimate(recipe)}</span>` : ''}
                     </div>
                     ${recipe.matchingIngredients ? `
                         <div class="matched-ingredients">
                             <h5>Your ingredients used:</h5>
                             <div class="ingredient-matches">
                                 ${recipe.matchingIngredients.map(ing => 
-                                    `<span class="ingredient-match">${ing}</span>`
+                                    `<span class="ingredient-match">${this.escapeHtml(ing)}</span>`
                                 ).join('')}
                             </div>
+                            ${this.renderMissingCount(recipe)}
                         </div>
                     ` : ''}
                 </div>
             </div>
-        `).join('');
+        `;
+    }
+
+    /**
+     * Recipe photo, or a plain placeholder for imported recipes without a
+     * usable one
+     */
+    getRecipeImage(recipe) {
+        return this.recipeFormats.safeUrl(recipe.strMealThumb, { image: true }) || 'data:image/svg+xml,' + encodeURIComponent(
+            '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 300"><rect width="400" height="300" fill="#f3ede4"/>' +
+            '<text x="200" y="170" font-size="72" text-anchor="middle">🍽️</text></svg>'
+        );
+    }
+
+    /**
+     * Escaped text with case-insensitive occurrences of a query in <mark>
+     */
+    highlightText(text, query) {
+        if (!query) return this.escapeHtml(text);
+
+        // Splitting on a capture group puts the matches at odd indices
+        const pattern = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        return text.split(pattern)
+            .map((part, i) => i % 2 ? `<mark class="name-highlight">${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+    }
 
-        // Add click handlers
+    /**
+     * Open the recipe modal from cards in a container
+     */
+    bindRecipeCards(container) {
         container.querySelectorAll('.recipe-card').forEach(card => {
             const handler = () => this.showRecipeModal(card.dataset.recipeId);
             
@@ -968,12 +4066,76 @@ class PremiumRecipeFinderApp {
                 }
             });
         });
+    }
 
-        container.classList.remove('hidden');
+    /**
+     * Render the missing ingredients count for a card
+     */
+    renderMissingCount(recipe) {
+        const missing = this.getMissingIngredients(recipe);
+        if (!missing) return '';
+
+        if (missing.length === 0) {
+            return '<p class="missing-count complete">You have everything you need</p>';
+        }
+        return `<p class="missing-count" title="${this.escapeHtml(missing.join(', '))}">
+            ${missing.length} missing ingredient${missing.length !== 1 ? 's' : ''}
+        </p>`;
     }
 
     // ===== UTILITY METHODS =====
 
+    /**
+     * Escape text for use in HTML content and quoted attributes
+     */
+    escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Offer text content as a file download
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    /**
+     * Read a JSON value from localStorage
+     */
+    loadFromStorage(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (error) {
+            console.error(`Failed to read ${key} from storage:`, error);
+            return fallback;
+        }
+    }
+
+    /**
+     * Write a JSON value to localStorage. Returns false, after telling the
+     * user, when it couldn't be stored (e.g. the storage quota is full).
+     */
+    saveToStorage(key, value, failureMessage = 'Unable to save changes on this device') {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (error) {
+            console.error(`Failed to write ${key} to storage:`, error);
+            this.showToast(failureMessage);
+            return false;
+        }
+    }
+
     /**
      * Show toast notification
      */
@@ -0,0 +1,153 @@
+/**
+ * Dietary Profile
+ * Diets and allergens the user avoids, checked against recipe ingredients
+ */
+
+class DietaryProfile {
+    constructor(normalizer, profile = {}) {
+        // Shared key and phrase matching, so "Prawns" counts as "prawn"
+        this.normalizer = normalizer;
+
+        // Ingredient families. `allows` lists names that contain a keyword but
+        // don't belong to the family ("peanut butter" isn't dairy).
+        this.groups = {
+            meat: {
+                keywords: [
+                    'beef', 'pork', 'lamb', 'mutton', 'chicken', 'turkey', 'duck', 'goose', 'bacon', 'ham',
+                    'sausage', 'chorizo', 'veal', 'mince', 'steak', 'goat', 'venison', 'rabbit', 'pancetta',
+                    'prosciutto', 'salami', 'pepperoni', 'gelatine', 'gelatin', 'lard', 'suet', 'oxtail',
+                    'kidney', 'liver', 'meat'
+                ],
+                allows: ['kidney bean', 'beef tomato']
+            },
+            fish: {
+                keywords: [
+                    'fish', 'salmon', 'tuna', 'cod', 'haddock', 'prawn', 'shrimp', 'mussel', 'clam', 'oyster',
+                    'crab', 'lobster', 'anchovy', 'sardine', 'mackerel', 'squid', 'scallop',
+                    'trout', 'monkfish', 'herring', 'kipper', 'seafood', 'worcestershire sauce'
+                ],
+                allows: []
+            },
+            dairy: {
+                keywords: [
+                    'milk', 'cheese', 'butter', 'cream', 'yogurt', 'yoghurt', 'ghee', 'creme fraiche',
+                    'parmesan', 'cheddar', 'mozzarella', 'feta', 'ricotta', 'mascarpone', 'paneer',
+                    'buttermilk', 'custard', 'brie', 'gruyere', 'stilton', 'halloumi', 'quark', 'whey'
+                ],
+                allows: [
+                    'peanut butter', 'almond butter', 'cashew butter', 'cocoa butter', 'shea butter',
+                    'butter bean', 'butter lettuce', 'coconut milk', 'coconut cream', 'coconut yogurt',
+                    'coconut yoghurt', 'almond milk', 'soy milk', 'soya milk', 'oat milk', 'rice milk',
+                    'cashew milk', 'cashew cream', 'soy yogurt', 'cream of tartar', 'vegan cheese',
+                    'vegan butter', 'dairy free'
+                ]
+            },
+            egg: {
+                keywords: ['egg', 'egg yolk', 'egg white', 'mayonnaise', 'meringue'],
+                allows: []
+            },
+            gluten: {
+                keywords: [
+                    'flour', 'bread', 'breadcrumb', 'pasta', 'spaghetti', 'noodle', 'wheat', 'barley', 'rye',
+                    'couscous', 'bulgur', 'semolina', 'tortilla', 'pitta', 'pita', 'naan', 'soy sauce',
+                    'macaroni', 'penne', 'lasagne', 'linguine', 'fettuccine', 'tagliatelle', 'farfalle',
+                    'rigatoni', 'pastry', 'biscuit', 'beer', 'baguette', 'bun', 'cracker'
+                ],
+                allows: [
+                    'rice flour', 'corn flour', 'gram flour', 'almond flour', 'coconut flour', 'rice noodle',
+                    'corn tortilla', 'gluten free'
+                ]
+            },
+            nuts: {
+                keywords: [
+                    'nut', 'almond', 'walnut', 'peanut', 'cashew', 'pecan', 'hazelnut', 'pistachio',
+                    'macadamia', 'pine nut', 'brazil nut', 'praline', 'marzipan'
+                ],
+                allows: []
+            },
+            honey: {
+                keywords: ['honey'],
+                allows: []
+            }
+        };
+
+        this.diets = {
+            vegetarian: { label: 'Vegetarian', groups: ['meat', 'fish'] },
+            vegan: { label: 'Vegan', groups: ['meat', 'fish', 'dairy', 'egg', 'honey'] },
+            pescatarian: { label: 'Pescatarian', groups: ['meat'] },
+            'gluten-free': { label: 'Gluten-free', groups: ['gluten'] },
+            'dairy-free': { label: 'Dairy-free', groups: ['dairy'] },
+            'nut-free': { label: 'Nut-free', groups: ['nuts'] }
+        };
+
+        this.active = new Set((profile.diets || []).filter(diet => this.diets[diet]));
+        this.allergens = profile.allergens || [];
+    }
+
+    /**
+     * Turn a diet on or off
+     */
+    setDiet(diet, enabled) {
+        if (!this.diets[diet]) return;
+        if (enabled) {
+            this.active.add(diet);
+        } else {
+            this.active.delete(diet);
+        }
+    }
+
+    /**
+     * Replace the custom allergen list
+     */
+    setAllergens(allergens) {
+        this.allergens = [...new Set(
+            allergens.map(allergen => allergen.trim().toLowerCase()).filter(Boolean)
+        )];
+    }
+
+    /**
+     * Whether the profile restricts anything
+     */
+    isEmpty() {
+        return this.active.size === 0 && this.allergens.length === 0;
+    }
+
+    /**
+     * Reasons an ingredient conflicts with the profile, e.g. ["Vegan", "sesame"]
+     */
+    getConflicts(ingredient) {
+        const key = this.normalizer.toKey(ingredient);
+        const reasons = [];
+
+        this.active.forEach(diet => {
+            const { label, groups } = this.diets[diet];
+            if (groups.some(group => this.inGroup(key, group))) reasons.push(label);
+        });
+
+        this.allergens.forEach(allergen => {
+            if (this.normalizer.containsPhrase(key, this.normalizer.toKey(allergen))) reasons.push(allergen);
+        });
+
+        return reasons;
+    }
+
+    /**
+     * Check a normalized ingredient key against an ingredient family
+     */
+    inGroup(key, groupName) {
+        const group = this.groups[groupName];
+        const has = (term) => this.normalizer.containsPhrase(key, this.normalizer.toKey(term));
+        return group.keywords.some(has) && !group.allows.some(has);
+    }
+
+    /**
+     * Serialize for localStorage
+     */
+    toJSON() {
+        return { diets: [...this.active], allergens: this.allergens };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DietaryProfile;
+}
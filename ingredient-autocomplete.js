@@ -0,0 +1,163 @@
+/**
+ * Ingredient Autocomplete
+ * Typo-tolerant ranking of ingredient names with plural and synonym handling
+ */
+
+class IngredientAutocomplete {
+    constructor(normalizer, options = {}) {
+        // Shared with chip normalization for singulars and the synonym table
+        this.normalizer = normalizer;
+        this.limit = options.limit || 6;
+
+        // Score deducted from matches found through a synonym
+        this.synonymPenalty = 5;
+    }
+
+    /**
+     * Best matches for a query as { value, score, indices }, where `indices`
+     * are the character positions in `value` that matched the typed text
+     */
+    rank(query, candidates, limit = this.limit) {
+        const normalized = this.normalize(query);
+        if (!normalized) return [];
+
+        const variants = this.getVariants(normalized);
+
+        return candidates
+            .map(value => {
+                const candidate = this.normalize(value);
+                let best = null;
+
+                variants.forEach(({ text, penalty }) => {
+                    const score = this.scoreText(text, candidate);
+                    if (score !== null && (best === null || score - penalty > best)) {
+                        best = score - penalty;
+                    }
+                });
+
+                // Shorter names win ties, so "egg" comes before "egg white"
+                return best === null ? null : { value, score: best - value.length / 100 };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(match => ({ ...match, indices: this.matchIndices(query, match.value) }));
+    }
+
+    /**
+     * Lowercase, strip punctuation and singularize each word
+     */
+    normalize(text) {
+        return this.normalizer.toKey(text);
+    }
+
+    /**
+     * The query plus every rewrite of it through the synonym table
+     */
+    getVariants(query) {
+        const variants = [{ text: query, penalty: 0 }];
+
+        this.normalizer.findSynonymGroups(query).forEach(({ terms, hit }) => {
+            terms
+                .filter(term => term !== hit)
+                .forEach(term => variants.push({
+                    text: query.replace(hit, term),
+                    penalty: this.synonymPenalty
+                }));
+        });
+
+        return variants;
+    }
+
+    /**
+     * Score a normalized query against a normalized candidate, or null when
+     * they don't match. Exact and prefix matches beat substrings, which beat
+     * matches that needed typo correction.
+     */
+    scoreText(query, candidate) {
+        if (candidate === query) return 100;
+        if (candidate.startsWith(query)) return 90;
+        if (candidate.includes(` ${query}`)) return 80;
+        if (candidate.includes(query)) return 70;
+
+        // Every query word must be close to some candidate word (or its start,
+        // so half-typed words still match)
+        const words = candidate.split(' ');
+        let total = 0;
+
+        for (const term of query.split(' ')) {
+            const allowed = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+            let best = Infinity;
+
+            words.forEach(word => {
+                best = Math.min(best, this.distance(term, word));
+                if (word.length > term.length) {
+                    best = Math.min(best, this.distance(term, word.slice(0, term.length)));
+                }
+            });
+
+            if (best > allowed) return null;
+            total += best;
+        }
+
+        return 60 - total * 10;
+    }
+
+    /**
+     * Edit distance counting insertions, deletions, substitutions and
+     * adjacent transpositions
+     */
+    distance(a, b) {
+        const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+        for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(
+                    rows[i - 1][j] + 1,
+                    rows[i][j - 1] + 1,
+                    rows[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * Character positions in `value` to highlight: a contiguous match when the
+     * query appears as typed, otherwise the query's letters in order. Returns
+     * nothing when the letters can't all be found (e.g. synonym matches).
+     */
+    matchIndices(query, value) {
+        const typed = query.toLowerCase().trim();
+        const text = value.toLowerCase();
+
+        const start = text.indexOf(typed);
+        if (start !== -1) {
+            return Array.from({ length: typed.length }, (_, i) => start + i);
+        }
+
+        const letters = typed.replace(/\s+/g, '');
+        const indices = [];
+        let next = 0;
+
+        for (let i = 0; i < text.length && next < letters.length; i++) {
+            if (text[i] === letters[next]) {
+                indices.push(i);
+                next++;
+            }
+        }
+
+        return next === letters.length ? indices : [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IngredientAutocomplete;
+}
@@ -0,0 +1,123 @@
+/**
+ * Ingredient Normalizer
+ * Maps free-text ingredients to the canonical names the recipe API knows
+ */
+
+class IngredientNormalizer {
+    constructor(vocabulary = []) {
+        // Regional names for the same ingredient; the first entry is canonical
+        // and follows MealDB's (mostly British) naming
+        this.synonyms = [
+            ['spring onion', 'scallion', 'green onion'],
+            ['coriander', 'cilantro'],
+            ['aubergine', 'eggplant'],
+            ['courgette', 'zucchini'],
+            ['prawn', 'shrimp'],
+            ['bell pepper', 'capsicum', 'sweet pepper'],
+            ['rocket', 'arugula'],
+            ['chickpea', 'garbanzo bean'],
+            ['minced beef', 'ground beef', 'beef mince'],
+            ['double cream', 'heavy cream'],
+            ['single cream', 'light cream'],
+            ['icing sugar', 'powdered sugar', 'confectioners sugar'],
+            ['caster sugar', 'superfine sugar'],
+            ['plain flour', 'all purpose flour'],
+            ['cornflour', 'cornstarch'],
+            ['beetroot', 'beet'],
+            ['swede', 'rutabaga']
+        ];
+
+        // Preparation words that don't change which ingredient is meant
+        this.descriptors = new Set([
+            'fresh', 'chopped', 'diced', 'sliced', 'grated', 'large', 'small', 'medium',
+            'ripe', 'organic', 'raw', 'whole', 'boneless', 'skinless'
+        ]);
+
+        // key -> vocabulary name
+        this.index = new Map();
+        this.setVocabulary(vocabulary);
+    }
+
+    /**
+     * Index the ingredient names the data source searches by. The first name
+     * wins when several share a key ("Egg" and "Eggs").
+     */
+    setVocabulary(names) {
+        this.index = new Map();
+        names.forEach(name => {
+            const key = this.toKey(name);
+            if (key && !this.index.has(key)) this.index.set(key, name.trim().toLowerCase());
+        });
+    }
+
+    /**
+     * Canonical lowercase name for free text: descriptors dropped, synonyms
+     * mapped and the vocabulary's spelling used when it knows the ingredient.
+     * Unknown ingredients keep the user's wording.
+     */
+    canonicalize(text) {
+        const typed = text.trim().toLowerCase().replace(/\s+/g, ' ');
+        const key = this.toKey(typed);
+        if (!key) return '';
+
+        const stripped = key.split(' ').filter(word => !this.descriptors.has(word)).join(' ') || key;
+        const canonicalKey = this.applySynonyms(stripped);
+
+        if (this.index.has(canonicalKey)) return this.index.get(canonicalKey);
+        return canonicalKey === stripped ? typed : canonicalKey;
+    }
+
+    /**
+     * Comparison key: lowercase, punctuation removed, each word singular
+     */
+    toKey(text) {
+        return text.toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => this.singularize(word))
+            .join(' ');
+    }
+
+    /**
+     * Naive English singular ("tomatoes" -> "tomato", "berries" -> "berry")
+     */
+    singularize(word) {
+        if (word.length <= 3) return word;
+        return word
+            .replace(/ies$/, 'y')
+            .replace(/oes$/, 'o')
+            .replace(/([^s])s$/, '$1');
+    }
+
+    /**
+     * Replace a synonym phrase in a key with its canonical form
+     */
+    applySynonyms(key) {
+        const match = this.findSynonymGroups(key).find(({ terms, hit }) => hit !== terms[0]);
+        return match ? key.replace(match.hit, match.terms[0]) : key;
+    }
+
+    /**
+     * Synonym groups (as keys) that contain a phrase of `key`, paired with the phrase
+     */
+    findSynonymGroups(key) {
+        return this.synonyms
+            .map(group => {
+                const terms = group.map(term => this.toKey(term));
+                return { terms, hit: terms.find(term => this.containsPhrase(key, term)) };
+            })
+            .filter(group => group.hit);
+    }
+
+    /**
+     * Whole-word phrase containment
+     */
+    containsPhrase(key, phrase) {
+        return ` ${key} `.includes(` ${phrase} `);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IngredientNormalizer;
+}
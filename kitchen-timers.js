@@ -0,0 +1,162 @@
+/**
+ * Kitchen Timers
+ * Labeled countdowns tracked by wall-clock end time, so they stay accurate in
+ * background tabs and survive reloads
+ */
+
+class KitchenTimers {
+    constructor(timers = []) {
+        // { id, label, duration, endsAt, remaining, status, reminder, reminded, createdAt },
+        // times in ms. Running timers have `endsAt`; paused ones keep `remaining`
+        // instead. `reminder` is how far in to nudge early, for ranged steps.
+        this.timers = timers;
+    }
+
+    /**
+     * Start a new timer, optionally with an earlier reminder ("check after
+     * 10 minutes" on a 10-12 minute step)
+     */
+    add(label, seconds, { reminderSeconds = null } = {}, now = Date.now()) {
+        const duration = Math.max(1, Math.round(seconds)) * 1000;
+        const reminder = reminderSeconds ? Math.round(reminderSeconds) * 1000 : null;
+        const timer = {
+            id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            label: label.trim() || `Timer ${this.timers.length + 1}`,
+            duration,
+            endsAt: now + duration,
+            remaining: duration,
+            status: 'running',
+            reminder: reminder && reminder < duration ? reminder : null,
+            reminded: false,
+            createdAt: now
+        };
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Find a timer by id
+     */
+    get(id) {
+        return this.timers.find(timer => timer.id === id) || null;
+    }
+
+    /**
+     * Milliseconds left on a timer
+     */
+    getRemaining(timer, now = Date.now()) {
+        if (timer.status === 'running') return Math.max(0, timer.endsAt - now);
+        if (timer.status === 'paused') return timer.remaining;
+        return 0;
+    }
+
+    /**
+     * Freeze a running timer
+     */
+    pause(id, now = Date.now()) {
+        const timer = this.get(id);
+        if (!timer || timer.status !== 'running') return;
+
+        timer.remaining = this.getRemaining(timer, now);
+        timer.endsAt = null;
+        timer.status = 'paused';
+    }
+
+    /**
+     * Continue a paused timer
+     */
+    resume(id, now = Date.now()) {
+        const timer = this.get(id);
+        if (!timer || timer.status !== 'paused') return;
+
+        timer.endsAt = now + timer.remaining;
+        timer.status = 'running';
+    }
+
+    /**
+     * Start a timer over from its full duration
+     */
+    restart(id, now = Date.now()) {
+        const timer = this.get(id);
+        if (!timer) return;
+
+        timer.endsAt = now + timer.duration;
+        timer.remaining = timer.duration;
+        timer.status = 'running';
+        timer.reminded = false;
+    }
+
+    /**
+     * Remove a timer
+     */
+    remove(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    /**
+     * Mark running timers whose end time has passed as done and return them
+     */
+    collectFinished(now = Date.now()) {
+        const finished = this.timers.filter(timer => timer.status === 'running' && timer.endsAt <= now);
+        finished.forEach(timer => {
+            timer.status = 'done';
+            timer.remaining = 0;
+        });
+        return finished;
+    }
+
+    /**
+     * Mark running timers that reached their reminder point and return them
+     */
+    collectReminders(now = Date.now()) {
+        const due = this.timers.filter(timer =>
+            timer.status === 'running' && timer.reminder && !timer.reminded &&
+            timer.duration - this.getRemaining(timer, now) >= timer.reminder
+        );
+        due.forEach(timer => {
+            timer.reminded = true;
+        });
+        return due;
+    }
+
+    /**
+     * Whether any timer is counting down
+     */
+    hasRunning() {
+        return this.timers.some(timer => timer.status === 'running');
+    }
+
+    /**
+     * Timers in display order: finished first, then soonest to finish
+     */
+    sorted(now = Date.now()) {
+        const rank = { done: 0, running: 1, paused: 2 };
+        return [...this.timers].sort((a, b) =>
+            rank[a.status] - rank[b.status] || this.getRemaining(a, now) - this.getRemaining(b, now)
+        );
+    }
+
+    /**
+     * Format milliseconds as m:ss or h:mm:ss
+     */
+    format(ms) {
+        const total = Math.ceil(ms / 1000);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const seconds = String(total % 60).padStart(2, '0');
+        return hours
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Serialize for localStorage
+     */
+    toJSON() {
+        return this.timers;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KitchenTimers;
+}
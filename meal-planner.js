@@ -0,0 +1,149 @@
+/**
+ * Meal Planner
+ * Weekly breakfast/lunch/dinner plans keyed by local date
+ */
+
+class MealPlanner {
+    constructor(slots = {}) {
+        // "YYYY-MM-DD:meal" -> recipe snapshot
+        this.slots = slots;
+        this.meals = ['breakfast', 'lunch', 'dinner'];
+    }
+
+    /**
+     * Monday of the week containing a date
+     */
+    getWeekStart(date = new Date()) {
+        const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const offset = (start.getDay() + 6) % 7;
+        start.setDate(start.getDate() - offset);
+        return start;
+    }
+
+    /**
+     * The seven dates of a week
+     */
+    getWeekDays(weekStart) {
+        return Array.from({ length: 7 }, (_, i) => {
+            const day = new Date(weekStart);
+            day.setDate(day.getDate() + i);
+            return day;
+        });
+    }
+
+    /**
+     * Shift a week start by a number of weeks
+     */
+    shiftWeek(weekStart, weeks) {
+        const shifted = new Date(weekStart);
+        shifted.setDate(shifted.getDate() + weeks * 7);
+        return shifted;
+    }
+
+    /**
+     * Local date key, e.g. "2024-05-06"
+     */
+    formatDate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Key for a day and meal
+     */
+    getSlotKey(date, meal) {
+        return `${this.formatDate(date)}:${meal}`;
+    }
+
+    /**
+     * Every slot key in a week, day by day
+     */
+    getWeekSlotKeys(weekStart) {
+        return this.getWeekDays(weekStart).flatMap(day =>
+            this.meals.map(meal => this.getSlotKey(day, meal))
+        );
+    }
+
+    /**
+     * Recipe planned for a slot
+     */
+    getSlot(key) {
+        return this.slots[key] || null;
+    }
+
+    /**
+     * Plan a recipe in a slot
+     */
+    setSlot(key, recipe) {
+        this.slots[key] = recipe;
+    }
+
+    /**
+     * Empty a slot
+     */
+    clearSlot(key) {
+        delete this.slots[key];
+    }
+
+    /**
+     * Move a recipe between slots, swapping with whatever is in the target
+     */
+    moveSlot(fromKey, toKey) {
+        if (fromKey === toKey) return;
+
+        const moving = this.slots[fromKey];
+        const replaced = this.slots[toKey];
+        if (!moving) return;
+
+        this.slots[toKey] = moving;
+        if (replaced) {
+            this.slots[fromKey] = replaced;
+        } else {
+            delete this.slots[fromKey];
+        }
+    }
+
+    /**
+     * Empty slot keys in a week
+     */
+    getEmptySlots(weekStart) {
+        return this.getWeekSlotKeys(weekStart).filter(key => !this.slots[key]);
+    }
+
+    /**
+     * Planned recipes in a week, in slot order
+     */
+    getWeekRecipes(weekStart) {
+        return this.getWeekSlotKeys(weekStart)
+            .map(key => this.slots[key])
+            .filter(Boolean);
+    }
+
+    /**
+     * Remove every slot in a week
+     */
+    clearWeek(weekStart) {
+        this.getWeekSlotKeys(weekStart).forEach(key => this.clearSlot(key));
+    }
+
+    /**
+     * Empty every slot, in any week, holding a recipe. Returns how many were cleared.
+     */
+    removeRecipe(recipeId) {
+        const keys = Object.keys(this.slots).filter(key => this.slots[key].idMeal === recipeId);
+        keys.forEach(key => this.clearSlot(key));
+        return keys.length;
+    }
+
+    /**
+     * Serialize for localStorage
+     */
+    toJSON() {
+        return this.slots;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealPlanner;
+}
@@ -0,0 +1,328 @@
+/**
+ * Measure Parser
+ * Parses MealDB's free-text strMeasureN values into scalable quantities
+ */
+
+class MeasureParser {
+    constructor() {
+        // Canonical units and the spellings MealDB uses for them
+        this.units = {
+            g: ['g', 'gr', 'grs', 'gram', 'grams', 'gramme', 'grammes'],
+            kg: ['kg', 'kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'],
+            ml: ['ml', 'mls', 'millilitre', 'millilitres', 'milliliter', 'milliliters'],
+            l: ['l', 'litre', 'litres', 'liter', 'liters', 'ltr'],
+            tsp: ['tsp', 'tsps', 'tspn', 't', 'teaspoon', 'teaspoons'],
+            tbsp: ['tbsp', 'tbsps', 'tbs', 'tbls', 'tblsp', 'tblspn', 'tb', 'tablespoon', 'tablespoons'],
+            cup: ['cup', 'cups', 'c'],
+            'fl oz': ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'],
+            oz: ['oz', 'ozs', 'ounce', 'ounces'],
+            lb: ['lb', 'lbs', 'pound', 'pounds'],
+            pint: ['pint', 'pints', 'pt'],
+            quart: ['quart', 'quarts', 'qt']
+        };
+
+        // Units that count items rather than measure them, singular to plural;
+        // scaled as written and pluralised to match the quantity
+        this.countPlurals = {
+            can: 'cans', tin: 'tins', clove: 'cloves', slice: 'slices',
+            sprig: 'sprigs', stick: 'sticks', bunch: 'bunches', leaf: 'leaves',
+            piece: 'pieces', packet: 'packets', pack: 'packs', jar: 'jars',
+            handful: 'handfuls', sheet: 'sheets', stalk: 'stalks', head: 'heads',
+            knob: 'knobs', rasher: 'rashers'
+        };
+        this.countUnits = [
+            ...Object.entries(this.countPlurals).flat(),
+            'large', 'medium', 'small', 'whole'
+        ];
+
+        this.unicodeFractions = { '½': '1/2', '¼': '1/4', '¾': '3/4', '⅓': '1/3', '⅔': '2/3', '⅛': '1/8' };
+
+        this.aliasLookup = new Map();
+        Object.entries(this.units).forEach(([unit, aliases]) => {
+            aliases.forEach(alias => this.aliasLookup.set(alias, unit));
+        });
+
+        const aliases = [...this.aliasLookup.keys(), ...this.countUnits]
+            .sort((a, b) => b.length - a.length)
+            .map(alias => alias.replace(/[.\s]/g, match => match === '.' ? '\\.' : '\\s*'));
+        this.unitPattern = new RegExp(`^\\s*(${aliases.join('|')})\\.?(?![a-z])`, 'i');
+
+        const number = '\\d+\\/\\d+|\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+)?';
+        this.quantityPattern = new RegExp(`^\\s*(${number})(?:\\s*(?:-|–|to)\\s*(${number}))?`);
+    }
+
+    /**
+     * Parse a measure into { original, quantity, maxQuantity, unit, unitLabel,
+     * packSize, alternate, descriptor, scalable }. `unit` is the canonical unit
+     * (or null for counts and plain numbers). `packSize` is the size of each
+     * item in "2 x 400g tins"; `alternate` is the second measure in
+     * "450g/1lb". Both are parsed measures themselves, or null.
+     */
+    parse(measure) {
+        const original = (measure || '').trim();
+        const result = {
+            original,
+            quantity: null,
+            maxQuantity: null,
+            unit: null,
+            unitLabel: '',
+            packSize: null,
+            alternate: null,
+            descriptor: original,
+            scalable: false
+        };
+
+        if (!original) return result;
+
+        const text = this.normalizeFractions(original);
+        const quantityMatch = text.match(this.quantityPattern);
+
+        // "Pinch", "to taste", "Dash" and friends carry no quantity to scale
+        if (!quantityMatch) return result;
+
+        const quantity = this.parseNumber(quantityMatch[1]);
+        const maxQuantity = quantityMatch[2] ? this.parseNumber(quantityMatch[2]) : null;
+        let rest = text.slice(quantityMatch[0].length);
+
+        // "2 x 400g tins": two of something, each 400g
+        const packMatch = rest.match(/^\s*[x×]\s*(?=\d)/i);
+        const packSize = packMatch ? this.parseMeasuredAmount(rest.slice(packMatch[0].length)) : null;
+        if (packSize) {
+            result.packSize = packSize.measure;
+            rest = rest.slice(packMatch[0].length + packSize.length);
+        }
+
+        const unitMatch = rest.match(this.unitPattern);
+        if (unitMatch) {
+            const label = unitMatch[1];
+            result.unit = this.aliasLookup.get(label.toLowerCase().replace(/\s+/g, ' ')) || null;
+            result.unitLabel = label;
+            rest = rest.slice(unitMatch[0].length);
+        }
+
+        // "450g/1lb": the same amount in another unit
+        const alternateMatch = result.unit && rest.match(/^\s*\/\s*/);
+        const alternate = alternateMatch ? this.parseMeasuredAmount(rest.slice(alternateMatch[0].length)) : null;
+        if (alternate) {
+            result.alternate = alternate.measure;
+            rest = rest.slice(alternateMatch[0].length + alternate.length);
+        }
+
+        result.quantity = quantity;
+        result.maxQuantity = maxQuantity;
+        result.descriptor = rest.trim();
+        result.scalable = quantity !== null && quantity > 0;
+        return result;
+    }
+
+    /**
+     * Parse a leading quantity and measuring unit ("400g", "1 lb") into
+     * { measure, length }, or null when the text doesn't start with one
+     */
+    parseMeasuredAmount(text) {
+        const quantityMatch = text.match(this.quantityPattern);
+        if (!quantityMatch) return null;
+
+        const unitMatch = text.slice(quantityMatch[0].length).match(this.unitPattern);
+        const unit = unitMatch && this.aliasLookup.get(unitMatch[1].toLowerCase().replace(/\s+/g, ' '));
+        if (!unit) return null;
+
+        const length = quantityMatch[0].length + unitMatch[0].length;
+        const quantity = this.parseNumber(quantityMatch[1]);
+        return {
+            measure: {
+                original: text.slice(0, length).trim(),
+                quantity,
+                maxQuantity: quantityMatch[2] ? this.parseNumber(quantityMatch[2]) : null,
+                unit,
+                unitLabel: unitMatch[1],
+                packSize: null,
+                alternate: null,
+                descriptor: '',
+                scalable: quantity > 0
+            },
+            length
+        };
+    }
+
+    /**
+     * Return a copy of a parsed measure with its quantities multiplied
+     */
+    scale(parsed, factor) {
+        if (!parsed.scalable || factor === 1) return parsed;
+
+        return {
+            ...parsed,
+            quantity: parsed.quantity * factor,
+            maxQuantity: parsed.maxQuantity !== null ? parsed.maxQuantity * factor : null
+        };
+    }
+
+    /**
+     * Format a parsed measure, optionally scaled by a factor
+     */
+    format(parsed, factor = 1) {
+        if (!parsed.scalable) return parsed.original;
+
+        let { unit, quantity, maxQuantity } = this.scale(parsed, factor);
+
+        // Promote to the larger metric unit once quantities get big, and
+        // demote back once they drop below one
+        const promotions = { g: 'kg', ml: 'l' };
+        const demotions = { kg: 'g', l: 'ml' };
+        if (promotions[unit] && quantity >= 1000) {
+            unit = promotions[unit];
+            quantity /= 1000;
+            if (maxQuantity !== null) maxQuantity /= 1000;
+        } else if (demotions[unit] && quantity < 1) {
+            unit = demotions[unit];
+            quantity *= 1000;
+            if (maxQuantity !== null) maxQuantity *= 1000;
+        }
+
+        let amount = this.formatQuantity(quantity, unit);
+        if (maxQuantity !== null) amount += `-${this.formatQuantity(maxQuantity, unit)}`;
+
+        // Each pack keeps its size; only the number of packs scales
+        if (parsed.packSize) amount += ` x ${this.format(parsed.packSize)}`;
+
+        const displayed = this.displayedQuantity(Math.max(quantity, maxQuantity || 0), unit);
+        const unitText = unit
+            ? this.formatUnit(unit, displayed)
+            : this.formatCountLabel(parsed.unitLabel, displayed);
+        const separator = unit && ['g', 'kg', 'ml', 'l'].includes(unit) ? '' : ' ';
+
+        amount += unitText ? separator + unitText : '';
+        if (parsed.alternate) amount += `/${this.format(parsed.alternate, factor)}`;
+
+        return [amount, parsed.descriptor]
+            .filter(Boolean)
+            .join(' ');
+    }
+
+    /**
+     * Round a quantity the way a cook would read it: whole grams and
+     * millilitres, decimals for kilos and litres, kitchen fractions otherwise
+     */
+    formatQuantity(value, unit) {
+        if (unit === 'g' || unit === 'ml') {
+            if (value < 10) return this.trimDecimal(Math.round(value * 10) / 10);
+            if (value < 100) return String(Math.round(value));
+            if (value < 500) return String(Math.round(value / 5) * 5);
+            return String(Math.round(value / 10) * 10);
+        }
+
+        if (unit === 'kg' || unit === 'l') {
+            return this.trimDecimal(Math.round(value * 100) / 100);
+        }
+
+        if (value >= 10) return String(Math.round(value));
+        return this.toFraction(value);
+    }
+
+    /**
+     * The number formatQuantity shows for a value, e.g. 1.02 cups reads as 1
+     */
+    displayedQuantity(value, unit) {
+        if (['g', 'kg', 'ml', 'l'].includes(unit) || value >= 10) {
+            return parseFloat(this.formatQuantity(value, unit));
+        }
+
+        const { whole, fraction } = this.nearestFraction(value);
+        return whole + fraction || 1 / 8;
+    }
+
+    /**
+     * Render a value as a whole number plus the nearest kitchen fraction
+     */
+    toFraction(value) {
+        const { whole, symbol } = this.nearestFraction(value);
+        if (whole === 0 && !symbol) return '⅛';
+        return `${whole || ''}${symbol}` || '0';
+    }
+
+    /**
+     * Split a value into { whole, fraction, symbol } at the nearest kitchen fraction
+     */
+    nearestFraction(value) {
+        const fractions = [
+            [0, ''], [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [1 / 2, '½'],
+            [2 / 3, '⅔'], [3 / 4, '¾'], [1, '']
+        ];
+
+        const whole = Math.floor(value);
+        const remainder = value - whole;
+        const [fraction, symbol] = fractions.reduce((best, candidate) =>
+            Math.abs(candidate[0] - remainder) < Math.abs(best[0] - remainder) ? candidate : best
+        );
+
+        return fraction === 1
+            ? { whole: whole + 1, fraction: 0, symbol: '' }
+            : { whole, fraction, symbol };
+    }
+
+    /**
+     * Display label for a canonical unit, given the quantity as displayed
+     */
+    formatUnit(unit, quantity) {
+        if (unit === 'cup' || unit === 'pint' || unit === 'quart') {
+            return quantity > 1 ? `${unit}s` : unit;
+        }
+        return unit;
+    }
+
+    /**
+     * Singular or plural of a count word ("can", "cans") for the quantity as
+     * displayed, keeping the label's capitalisation. Other labels are unchanged.
+     */
+    formatCountLabel(label, quantity) {
+        const singular = this.singularCount(label);
+        if (!singular) return label;
+
+        const word = quantity > 1 ? this.countPlurals[singular] : singular;
+        return label[0] === label[0].toUpperCase() ? word[0].toUpperCase() + word.slice(1) : word;
+    }
+
+    /**
+     * Lowercase singular of a count word ("Cans" -> "can"), or null for other labels
+     */
+    singularCount(label) {
+        const lower = label.toLowerCase();
+        return Object.keys(this.countPlurals)
+            .find(word => word === lower || this.countPlurals[word] === lower) || null;
+    }
+
+    /**
+     * Replace unicode fractions with plain ones ("1½" -> "1 1/2")
+     */
+    normalizeFractions(text) {
+        return text.replace(/(\d)?\s*([½¼¾⅓⅔⅛])/g, (match, digit, symbol) =>
+            `${digit ? digit + ' ' : ''}${this.unicodeFractions[symbol]}`
+        );
+    }
+
+    /**
+     * Parse "1", "1.5", "1/2" or "1 1/2"
+     */
+    parseNumber(value) {
+        return value.trim().split(/\s+/).reduce((total, part) => {
+            if (total === null) return null;
+            if (part.includes('/')) {
+                const [numerator, denominator] = part.split('/').map(Number);
+                return denominator ? total + numerator / denominator : null;
+            }
+            return total + parseFloat(part);
+        }, 0);
+    }
+
+    /**
+     * Drop trailing zeros from a rounded decimal
+     */
+    trimDecimal(value) {
+        return String(parseFloat(value.toFixed(2)));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasureParser;
+}
@@ -0,0 +1,294 @@
+/**
+ * Nutrition Estimator
+ * Rough calories and macros from ingredient names and parsed measures, using
+ * a bundled per-100g table so it works offline
+ */
+
+class NutritionEstimator {
+    constructor(normalizer, unitConverter) {
+        // Shared key and phrase matching, so "Chicken Breasts" finds "chicken breast"
+        this.normalizer = normalizer;
+        // Unit sizes and staple densities for turning measures into grams
+        this.unitConverter = unitConverter;
+
+        this.nutrients = ['calories', 'protein', 'carbs', 'fat', 'fiber'];
+
+        // Per 100g: [kcal, protein g, carbs g, fat g, fiber g]. `each` is the
+        // weight in grams of one item ("2 onions"), `density` is grams per ml
+        // for things measured by volume. The most specific name wins.
+        this.table = [
+            // Meat, fish and eggs
+            { ingredient: 'chicken', per100g: [215, 18.6, 0, 15, 0], each: 1500 },
+            { ingredient: 'chicken breast', per100g: [120, 22.5, 0, 2.6, 0], each: 175 },
+            { ingredient: 'chicken thigh', per100g: [177, 19.7, 0, 10.9, 0], each: 110 },
+            { ingredient: 'chicken leg', per100g: [187, 19, 0, 12, 0], each: 250 },
+            { ingredient: 'chicken drumstick', per100g: [161, 19, 0, 9, 0], each: 100 },
+            { ingredient: 'beef', per100g: [250, 26, 0, 15, 0] },
+            { ingredient: 'minced beef', per100g: [254, 17, 0, 20, 0] },
+            { ingredient: 'steak', per100g: [190, 21, 0, 11, 0], each: 225 },
+            { ingredient: 'lamb', per100g: [282, 16.6, 0, 23.4, 0] },
+            { ingredient: 'pork', per100g: [242, 27, 0, 14, 0] },
+            { ingredient: 'bacon', per100g: [417, 13, 1.4, 40, 0], each: 25 },
+            { ingredient: 'sausage', per100g: [301, 12, 2, 27, 0], each: 60 },
+            { ingredient: 'ham', per100g: [145, 21, 1.5, 6, 0], each: 30 },
+            { ingredient: 'chorizo', per100g: [455, 24, 2, 38, 0] },
+            { ingredient: 'salmon', per100g: [208, 20, 0, 13, 0], each: 125 },
+            { ingredient: 'tuna', per100g: [132, 28, 0, 1, 0] },
+            { ingredient: 'cod', per100g: [82, 18, 0, 0.7, 0], each: 150 },
+            { ingredient: 'white fish', per100g: [90, 19, 0, 1, 0], each: 150 },
+            { ingredient: 'mackerel', per100g: [205, 19, 0, 14, 0], each: 150 },
+            { ingredient: 'prawn', per100g: [99, 24, 0.2, 0.3, 0], each: 15 },
+            { ingredient: 'anchovy', per100g: [210, 29, 0, 10, 0], each: 4 },
+            { ingredient: 'egg', per100g: [143, 12.6, 0.7, 9.5, 0], each: 50 },
+            { ingredient: 'egg yolk', per100g: [322, 16, 3.6, 27, 0], each: 17 },
+            { ingredient: 'egg white', per100g: [52, 11, 0.7, 0.2, 0], each: 33 },
+            { ingredient: 'tofu', per100g: [76, 8, 1.9, 4.8, 0.3] },
+
+            // Dairy
+            { ingredient: 'milk', per100g: [61, 3.2, 4.8, 3.3, 0], density: 1.03 },
+            { ingredient: 'butter', per100g: [717, 0.9, 0.1, 81, 0] },
+            { ingredient: 'double cream', per100g: [340, 2.1, 2.8, 36, 0], density: 1 },
+            { ingredient: 'single cream', per100g: [195, 2.7, 3.9, 19, 0], density: 1 },
+            { ingredient: 'sour cream', per100g: [198, 2.4, 4.6, 19, 0], density: 1 },
+            { ingredient: 'creme fraiche', per100g: [300, 2.4, 2.6, 30, 0], density: 1 },
+            { ingredient: 'yogurt', per100g: [61, 3.5, 4.7, 3.3, 0], density: 1.05 },
+            { ingredient: 'greek yogurt', per100g: [97, 9, 3.9, 5, 0], density: 1.05 },
+            { ingredient: 'cheese', per100g: [402, 25, 1.3, 33, 0], density: 0.45 },
+            { ingredient: 'parmesan', per100g: [431, 38, 4, 29, 0], density: 0.4 },
+            { ingredient: 'mozzarella', per100g: [280, 28, 3, 17, 0], each: 125 },
+            { ingredient: 'feta', per100g: [264, 14, 4, 21, 0] },
+            { ingredient: 'cream cheese', per100g: [342, 6, 4, 34, 0] },
+            { ingredient: 'ricotta', per100g: [174, 11, 3, 13, 0] },
+
+            // Grains, bread and pastry
+            { ingredient: 'flour', per100g: [364, 10, 76, 1, 2.7] },
+            { ingredient: 'rice', per100g: [360, 6.6, 79, 0.6, 1.3] },
+            { ingredient: 'pasta', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'spaghetti', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'penne rigate', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'linguine', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'fettuccine', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'macaroni', per100g: [371, 13, 75, 1.5, 3.2] },
+            { ingredient: 'lasagne sheet', per100g: [371, 13, 75, 1.5, 3.2], each: 20 },
+            { ingredient: 'noodle', per100g: [384, 14, 71, 4.4, 3] },
+            { ingredient: 'bread', per100g: [265, 9, 49, 3.2, 2.7], each: 35 },
+            { ingredient: 'breadcrumb', per100g: [395, 13, 72, 5, 4.5], density: 0.45 },
+            { ingredient: 'oat', per100g: [389, 17, 66, 7, 10.6] },
+            { ingredient: 'couscous', per100g: [376, 13, 77, 0.6, 5], density: 0.75 },
+            { ingredient: 'tortilla', per100g: [310, 8, 52, 8, 3.5], each: 45 },
+            { ingredient: 'pastry', per100g: [520, 6.5, 52, 32, 2] },
+            { ingredient: 'puff pastry', per100g: [558, 7.3, 45.6, 38.5, 1.5] },
+
+            // Sugar and sweet things
+            { ingredient: 'sugar', per100g: [387, 0, 100, 0, 0] },
+            { ingredient: 'brown sugar', per100g: [380, 0.1, 98, 0, 0] },
+            { ingredient: 'honey', per100g: [304, 0.3, 82, 0, 0.2] },
+            { ingredient: 'maple syrup', per100g: [260, 0, 67, 0.1, 0], density: 1.32 },
+            { ingredient: 'golden syrup', per100g: [325, 0.3, 79, 0, 0], density: 1.4 },
+            { ingredient: 'jam', per100g: [250, 0.4, 60, 0.1, 1], density: 1.3 },
+            { ingredient: 'chocolate', per100g: [546, 4.9, 61, 31, 7] },
+            { ingredient: 'cocoa', per100g: [228, 19.6, 58, 13.7, 37] },
+
+            // Fats
+            { ingredient: 'oil', per100g: [884, 0, 0, 100, 0], density: 0.92 },
+            { ingredient: 'olive oil', per100g: [884, 0, 0, 100, 0], density: 0.91 },
+
+            // Vegetables and fruit
+            { ingredient: 'onion', per100g: [40, 1.1, 9.3, 0.1, 1.7], each: 110, density: 0.6 },
+            { ingredient: 'spring onion', per100g: [32, 1.8, 7.3, 0.2, 2.6], each: 15 },
+            { ingredient: 'garlic', per100g: [149, 6.4, 33, 0.5, 2.1], each: 5 },
+            { ingredient: 'shallot', per100g: [72, 2.5, 17, 0.1, 3.2], each: 30 },
+            { ingredient: 'carrot', per100g: [41, 0.9, 9.6, 0.2, 2.8], each: 60, density: 0.55 },
+            { ingredient: 'potato', per100g: [77, 2, 17, 0.1, 2.2], each: 170 },
+            { ingredient: 'sweet potato', per100g: [86, 1.6, 20, 0.1, 3], each: 130 },
+            { ingredient: 'tomato', per100g: [18, 0.9, 3.9, 0.2, 1.2], each: 120 },
+            { ingredient: 'tomato puree', per100g: [82, 4.3, 19, 0.5, 4.1], density: 1.1 },
+            { ingredient: 'passata', per100g: [30, 1.3, 5.5, 0.2, 1.4] },
+            { ingredient: 'red pepper', per100g: [31, 1, 6, 0.3, 2.1], each: 150 },
+            { ingredient: 'green pepper', per100g: [20, 0.9, 4.6, 0.2, 1.7], each: 150 },
+            { ingredient: 'bell pepper', per100g: [26, 1, 6, 0.3, 2], each: 150 },
+            { ingredient: 'chilli', per100g: [40, 1.9, 8.8, 0.4, 1.5], each: 15 },
+            { ingredient: 'mushroom', per100g: [22, 3.1, 3.3, 0.3, 1], each: 18, density: 0.3 },
+            { ingredient: 'spinach', per100g: [23, 2.9, 3.6, 0.4, 2.2], density: 0.15 },
+            { ingredient: 'broccoli', per100g: [34, 2.8, 7, 0.4, 2.6], each: 300 },
+            { ingredient: 'cauliflower', per100g: [25, 1.9, 5, 0.3, 2], each: 500 },
+            { ingredient: 'courgette', per100g: [17, 1.2, 3.1, 0.3, 1], each: 200 },
+            { ingredient: 'aubergine', per100g: [25, 1, 6, 0.2, 3], each: 300 },
+            { ingredient: 'celery', per100g: [16, 0.7, 3, 0.2, 1.6], each: 40 },
+            { ingredient: 'leek', per100g: [61, 1.5, 14, 0.3, 1.8], each: 150 },
+            { ingredient: 'cabbage', per100g: [25, 1.3, 5.8, 0.1, 2.5], each: 900 },
+            { ingredient: 'lettuce', per100g: [15, 1.4, 2.9, 0.2, 1.3], each: 300 },
+            { ingredient: 'cucumber', per100g: [15, 0.7, 3.6, 0.1, 0.5], each: 300 },
+            { ingredient: 'pea', per100g: [81, 5.4, 14, 0.4, 5.7], density: 0.6 },
+            { ingredient: 'green bean', per100g: [31, 1.8, 7, 0.2, 2.7] },
+            { ingredient: 'ginger', per100g: [80, 1.8, 18, 0.8, 2], each: 15 },
+            { ingredient: 'lemon', per100g: [29, 1.1, 9, 0.3, 2.8], each: 100 },
+            { ingredient: 'lime', per100g: [30, 0.7, 10.5, 0.2, 2.8], each: 65 },
+            { ingredient: 'lemon juice', per100g: [22, 0.4, 6.9, 0.2, 0.3], density: 1 },
+            { ingredient: 'lime juice', per100g: [25, 0.4, 8.4, 0.1, 0.4], density: 1 },
+            { ingredient: 'apple', per100g: [52, 0.3, 14, 0.2, 2.4], each: 180 },
+            { ingredient: 'banana', per100g: [89, 1.1, 23, 0.3, 2.6], each: 120 },
+            { ingredient: 'avocado', per100g: [160, 2, 8.5, 14.7, 6.7], each: 150 },
+
+            // Beans, pulses and nuts
+            { ingredient: 'coconut milk', per100g: [197, 2, 2.8, 21, 0], density: 1 },
+            { ingredient: 'chickpea', per100g: [164, 8.9, 27, 2.6, 7.6] },
+            { ingredient: 'kidney bean', per100g: [127, 8.7, 22.8, 0.5, 6.4] },
+            { ingredient: 'black bean', per100g: [132, 8.9, 23.7, 0.5, 8.7] },
+            { ingredient: 'butter bean', per100g: [115, 7.8, 20.9, 0.4, 7] },
+            { ingredient: 'cannellini bean', per100g: [114, 7.8, 20.6, 0.5, 6.3] },
+            { ingredient: 'lentil', per100g: [352, 25, 60, 1, 10.7], density: 0.8 },
+            { ingredient: 'almond', per100g: [579, 21, 22, 50, 12.5], density: 0.6 },
+            { ingredient: 'peanut', per100g: [567, 26, 16, 49, 8.5], density: 0.6 },
+            { ingredient: 'peanut butter', per100g: [588, 25, 20, 50, 6], density: 1.1 },
+            { ingredient: 'walnut', per100g: [654, 15, 14, 65, 6.7], density: 0.5 },
+            { ingredient: 'cashew', per100g: [553, 18, 30, 44, 3.3], density: 0.6 },
+            { ingredient: 'pine nut', per100g: [673, 14, 13, 68, 3.7], density: 0.6 },
+
+            // Stocks, sauces and liquids
+            { ingredient: 'stock', per100g: [7, 1, 0.5, 0.2, 0], density: 1 },
+            { ingredient: 'stock cube', per100g: [250, 10, 20, 15, 0], each: 10 },
+            { ingredient: 'water', per100g: [0, 0, 0, 0, 0], density: 1 },
+            { ingredient: 'wine', per100g: [84, 0.1, 2.6, 0, 0], density: 1 },
+            { ingredient: 'beer', per100g: [43, 0.5, 3.6, 0, 0], density: 1 },
+            { ingredient: 'soy sauce', per100g: [53, 8, 4.9, 0.6, 0.8], density: 1.1 },
+            { ingredient: 'fish sauce', per100g: [35, 5, 3.6, 0, 0], density: 1.2 },
+            { ingredient: 'worcestershire sauce', per100g: [78, 0, 19, 0, 0], density: 1.1 },
+            { ingredient: 'vinegar', per100g: [20, 0, 0.6, 0, 0], density: 1 },
+            { ingredient: 'mayonnaise', per100g: [680, 1, 0.6, 75, 0], density: 0.95 },
+
+            // Seasoning; usually too little to matter, but listed so recipes count as covered
+            { ingredient: 'salt', per100g: [0, 0, 0, 0, 0], density: 1.2 },
+            { ingredient: 'pepper', per100g: [251, 10, 64, 3.3, 25], density: 0.45 },
+            { ingredient: 'cumin', per100g: [375, 18, 44, 22, 10.5], density: 0.45 },
+            { ingredient: 'paprika', per100g: [282, 14, 54, 13, 35], density: 0.45 },
+            { ingredient: 'cinnamon', per100g: [247, 4, 81, 1.2, 53], density: 0.55 },
+            { ingredient: 'turmeric', per100g: [312, 9.7, 67, 3.3, 22.7], density: 0.6 },
+            { ingredient: 'chilli powder', per100g: [282, 13.5, 50, 14, 35], density: 0.55 },
+            { ingredient: 'curry powder', per100g: [325, 14, 56, 14, 53], density: 0.45 },
+            { ingredient: 'garam masala', per100g: [379, 15, 45, 15, 38], density: 0.45 },
+            { ingredient: 'thyme', per100g: [276, 9, 64, 7.4, 37], density: 0.3, each: 1 },
+            { ingredient: 'oregano', per100g: [265, 9, 69, 4.3, 42.5], density: 0.3 },
+            { ingredient: 'basil', per100g: [23, 3.2, 2.7, 0.6, 1.6], density: 0.1, each: 0.5 },
+            { ingredient: 'parsley', per100g: [36, 3, 6.3, 0.8, 3.3], density: 0.1, each: 1 },
+            { ingredient: 'coriander', per100g: [23, 2.1, 3.7, 0.5, 2.8], density: 0.1, each: 1 },
+            { ingredient: 'mint', per100g: [70, 3.8, 15, 0.9, 8], density: 0.1, each: 0.5 },
+            { ingredient: 'bay leaf', per100g: [313, 7.6, 75, 8.4, 26], each: 0.2 },
+            { ingredient: 'baking powder', per100g: [53, 0, 28, 0, 0.2], density: 0.9 }
+        ];
+
+        // Grams per container or portion word; other count words use the
+        // ingredient's own `each` weight
+        this.countWeights = {
+            can: 400, tin: 400, jar: 350, knob: 15, rasher: 25, slice: 30,
+            handful: 30, bunch: 30, sprig: 1, leaf: 0.5
+        };
+
+        this.sizeFactors = { large: 1.25, medium: 1, small: 0.75, whole: 1 };
+
+        // Share of ingredients that must be counted before the totals say
+        // much about the recipe; below it the estimate is only a lower bound
+        this.minCoverage = 0.6;
+    }
+
+    /**
+     * Estimate totals for a recipe's ingredients ({ name, parsed }) and split
+     * them across servings. Returns null when no ingredient could be counted.
+     * `coverage` is the share of ingredients counted; `reliable` is whether
+     * it reaches `minCoverage`.
+     */
+    estimate(ingredients, servings = 1) {
+        const total = this.emptyTotals();
+        const counted = [];
+        const missing = [];
+
+        ingredients.forEach(({ name, parsed }) => {
+            const entry = this.find(name);
+            const grams = entry ? this.getGrams(entry, parsed, name) : null;
+
+            if (grams === null) {
+                missing.push(name);
+                return;
+            }
+
+            this.nutrients.forEach((nutrient, i) => {
+                total[nutrient] += entry.per100g[i] * grams / 100;
+            });
+            counted.push(name);
+        });
+
+        if (counted.length === 0) return null;
+
+        const perServing = this.emptyTotals();
+        this.nutrients.forEach(nutrient => {
+            perServing[nutrient] = total[nutrient] / Math.max(1, servings);
+        });
+
+        const coverage = counted.length / (counted.length + missing.length);
+        return { total, perServing, counted, missing, coverage, reliable: coverage >= this.minCoverage };
+    }
+
+    /**
+     * Table entry for an ingredient name. The name's head noun comes last in
+     * English, so the match ending latest wins ("chicken stock" is stock),
+     * then the longest. Combined substitutes ("milk + lemon juice") count as
+     * their main part.
+     */
+    find(ingredient) {
+        const key = ` ${this.normalizer.toKey(ingredient.split(' + ')[0])} `;
+        let best = null;
+
+        this.table.forEach(entry => {
+            const phrase = ` ${this.normalizer.toKey(entry.ingredient)} `;
+            const start = key.lastIndexOf(phrase);
+            if (start === -1) return;
+
+            const end = start + phrase.length;
+            if (!best || end > best.end || (end === best.end && phrase.length > best.length)) {
+                best = { entry, end, length: phrase.length };
+            }
+        });
+
+        return best ? best.entry : null;
+    }
+
+    /**
+     * Weight in grams of a parsed measure, or null when it can't be worked
+     * out. Unquantified measures ("pinch", "to taste") count as trace amounts.
+     */
+    getGrams(entry, parsed, name) {
+        if (!parsed.scalable) return 0;
+
+        const quantity = parsed.maxQuantity !== null
+            ? (parsed.quantity + parsed.maxQuantity) / 2
+            : parsed.quantity;
+
+        // "2 x 400g tins" weighs two of the pack size
+        if (parsed.packSize) {
+            const packGrams = this.getGrams(entry, parsed.packSize, name);
+            if (packGrams !== null) return quantity * packGrams;
+        }
+
+        const info = parsed.unit ? this.unitConverter.unitInfo[parsed.unit] : null;
+        if (info && info.type === 'mass') return quantity * info.size;
+        if (info) {
+            const density = entry.density || this.unitConverter.getDensity(name) || 1;
+            return quantity * info.size * density;
+        }
+
+        const label = parsed.unitLabel.toLowerCase();
+        const countWord = { leaves: 'leaf', bunches: 'bunch' }[label] || label.replace(/s$/, '');
+
+        if (this.countWeights[countWord]) return quantity * this.countWeights[countWord];
+        if (!entry.each) return null;
+        return quantity * entry.each * (this.sizeFactors[countWord] || 1);
+    }
+
+    emptyTotals() {
+        return Object.fromEntries(this.nutrients.map(nutrient => [nutrient, 0]));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NutritionEstimator;
+}
@@ -0,0 +1,98 @@
+/**
+ * Pantry
+ * Staples the user keeps at home, with optional quantities and expiry dates
+ */
+
+class Pantry {
+    constructor(items = []) {
+        this.items = items;
+        this.dayMs = 24 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Add an item, updating the existing entry when the name is already stocked
+     */
+    add(name, quantity = '', expires = null) {
+        const trimmed = name.trim();
+        if (!trimmed) return null;
+
+        const existing = this.find(trimmed);
+        if (existing) {
+            existing.quantity = quantity || existing.quantity;
+            existing.expires = expires || existing.expires;
+            return existing;
+        }
+
+        const item = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+            name: trimmed.toLowerCase(),
+            quantity,
+            expires,
+            addedAt: Date.now()
+        };
+        this.items.push(item);
+        return item;
+    }
+
+    /**
+     * Find an item by exact name
+     */
+    find(name) {
+        const normalized = name.trim().toLowerCase();
+        return this.items.find(item => item.name === normalized) || null;
+    }
+
+    /**
+     * Remove an item
+     */
+    remove(id) {
+        this.items = this.items.filter(item => item.id !== id);
+    }
+
+    /**
+     * Whole days until an item expires (negative once expired), or null
+     */
+    daysUntilExpiry(item, today = new Date()) {
+        if (!item.expires) return null;
+
+        const [year, month, day] = item.expires.split('-').map(Number);
+        const expiry = new Date(year, month - 1, day);
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return Math.round((expiry - start) / this.dayMs);
+    }
+
+    /**
+     * Items expiring within `days`, soonest first. Expired items are included
+     * so they still get used or thrown out.
+     */
+    getExpiringSoon(days = 3, today = new Date()) {
+        return this.items
+            .map(item => ({ item, days: this.daysUntilExpiry(item, today) }))
+            .filter(entry => entry.days !== null && entry.days <= days)
+            .sort((a, b) => a.days - b.days)
+            .map(entry => entry.item);
+    }
+
+    /**
+     * Items sorted by expiry date, undated items last
+     */
+    sorted() {
+        return [...this.items].sort((a, b) => {
+            if (a.expires && b.expires) return a.expires.localeCompare(b.expires);
+            if (a.expires) return -1;
+            if (b.expires) return 1;
+            return a.name.localeCompare(b.name);
+        });
+    }
+
+    /**
+     * Serialize for localStorage
+     */
+    toJSON() {
+        return this.items;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pantry;
+}
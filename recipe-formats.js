@@ -0,0 +1,316 @@
+/**
+ * Recipe Formats
+ * Converts recipes to and from schema.org Recipe JSON-LD, Markdown and plain text
+ */
+
+class RecipeFormats {
+    constructor(measureParser) {
+        // Splits "200g spaghetti" into a measure and an ingredient name on import
+        this.measureParser = measureParser;
+
+        this.sectionPatterns = {
+            ingredients: /ingredient/i,
+            instructions: /instruction|method|direction|step|preparation/i
+        };
+    }
+
+    // ===== EXPORT =====
+    // Exports take { recipe, ingredients: [{ name, measure }], servings }, so
+    // the caller decides how quantities are scaled and converted.
+
+    /**
+     * schema.org Recipe object for one export entry
+     */
+    toJsonLd({ recipe, ingredients, servings }) {
+        const data = {
+            '@context': 'https://schema.org',
+            '@type': 'Recipe',
+            name: recipe.strMeal,
+            image: recipe.strMealThumb || undefined,
+            recipeCategory: recipe.strCategory || undefined,
+            recipeCuisine: recipe.strArea || undefined,
+            keywords: recipe.strTags || undefined,
+            recipeYield: `${servings} servings`,
+            recipeIngredient: ingredients.map(ingredient => this.formatIngredient(ingredient)),
+            recipeInstructions: this.getSteps(recipe.strInstructions).map(text => ({ '@type': 'HowToStep', text })),
+            url: recipe.strSource || undefined,
+            video: recipe.strYoutube ? { '@type': 'VideoObject', name: recipe.strMeal, contentUrl: recipe.strYoutube } : undefined
+        };
+
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * JSON-LD document for one or more export entries
+     */
+    toJsonLdDocument(entries) {
+        if (entries.length === 1) return JSON.stringify(this.toJsonLd(entries[0]), null, 2);
+
+        const graph = entries.map(entry => {
+            const { '@context': context, ...recipe } = this.toJsonLd(entry);
+            return recipe;
+        });
+        return JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, 2);
+    }
+
+    /**
+     * Markdown for one or more export entries, separated by rules
+     */
+    toMarkdown(entries) {
+        return entries.map(({ recipe, ingredients, servings }) => {
+            const meta = [
+                recipe.strCategory && `**Category:** ${recipe.strCategory}`,
+                recipe.strArea && `**Cuisine:** ${recipe.strArea}`,
+                `**Serves:** ${servings}`,
+                recipe.strTags && `**Tags:** ${recipe.strTags}`,
+                recipe.strSource && `**Source:** ${recipe.strSource}`,
+                recipe.strYoutube && `**Video:** ${recipe.strYoutube}`
+            ].filter(Boolean);
+
+            return [
+                `# ${recipe.strMeal}`,
+                // Brackets in the name are escaped so the image line still parses
+                recipe.strMealThumb ? `![${recipe.strMeal.replace(/[[\]\\]/g, '\\$&')}](${recipe.strMealThumb})` : null,
+                meta.join('  \n'),
+                '## Ingredients',
+                ingredients.map(ingredient => `- ${this.formatIngredient(ingredient)}`).join('\n'),
+                '## Instructions',
+                this.getSteps(recipe.strInstructions).map((step, index) => `${index + 1}. ${step}`).join('\n')
+            ].filter(Boolean).join('\n\n');
+        }).join('\n\n---\n\n') + '\n';
+    }
+
+    /**
+     * Plain text for one or more export entries
+     */
+    toText(entries) {
+        return entries.map(({ recipe, ingredients, servings }) => {
+            const details = [recipe.strCategory, recipe.strArea, `serves ${servings}`].filter(Boolean).join(' · ');
+
+            return [
+                recipe.strMeal.toUpperCase(),
+                details,
+                '',
+                'INGREDIENTS',
+                ...ingredients.map(ingredient => `• ${this.formatIngredient(ingredient)}`),
+                '',
+                'INSTRUCTIONS',
+                ...this.getSteps(recipe.strInstructions).map((step, index) => `${index + 1}. ${step}`),
+                ...(recipe.strSource ? ['', `Source: ${recipe.strSource}`] : [])
+            ].join('\n');
+        }).join('\n\n' + '='.repeat(40) + '\n\n') + '\n';
+    }
+
+    /**
+     * "200g Spaghetti", or "Salt, to taste" when the measure isn't a quantity,
+     * so the split survives a round trip
+     */
+    formatIngredient({ name, measure }) {
+        if (!measure) return name;
+        return this.measureParser.parse(measure).scalable ? `${measure} ${name}` : `${name}, ${measure}`;
+    }
+
+    /**
+     * Instruction lines without blank lines or bare "STEP 3" headings
+     */
+    getSteps(instructions) {
+        return (instructions || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !/^step\s*\d+[:.]?$/i.test(line));
+    }
+
+    // ===== IMPORT =====
+
+    /**
+     * Recipes found in a JSON-LD or Markdown file, in MealDB's shape without
+     * an id. Throws when the file holds no recipe.
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        const recipes = /^[[{]/.test(trimmed)
+            ? this.parseJsonLd(JSON.parse(trimmed))
+            : this.parseMarkdown(trimmed);
+
+        if (recipes.length === 0) throw new Error('No recipes found in file');
+        return recipes;
+    }
+
+    /**
+     * Recipe nodes anywhere in a JSON-LD value (arrays, @graph, nesting)
+     */
+    parseJsonLd(data) {
+        const found = [];
+        const visit = (node) => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+            } else if (node && typeof node === 'object') {
+                const types = [].concat(node['@type'] || []);
+                if (types.includes('Recipe')) {
+                    found.push(node);
+                } else {
+                    Object.values(node).forEach(visit);
+                }
+            }
+        };
+        visit(data);
+
+        return found
+            .filter(node => node.name)
+            .map(node => this.fromParts({
+                name: this.readText(node.name),
+                image: this.getImageUrl(node.image),
+                category: this.readText(node.recipeCategory),
+                cuisine: this.readText(node.recipeCuisine),
+                tags: this.readText(node.keywords),
+                source: typeof node.url === 'string' ? node.url : '',
+                video: node.video ? this.readText(node.video.contentUrl || node.video.embedUrl || node.video) : '',
+                servings: this.readText(node.recipeYield),
+                ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(item => this.readText(item)),
+                steps: this.getJsonLdSteps(node.recipeInstructions)
+            }));
+    }
+
+    /**
+     * Flatten recipeInstructions: text, HowToStep lists or HowToSections
+     */
+    getJsonLdSteps(instructions) {
+        if (!instructions) return [];
+        if (typeof instructions === 'string') return this.getSteps(instructions);
+        if (Array.isArray(instructions)) return instructions.flatMap(item => this.getJsonLdSteps(item));
+        if (instructions.itemListElement) return this.getJsonLdSteps(instructions.itemListElement);
+        return this.getSteps(instructions.text || instructions.name || '');
+    }
+
+    /**
+     * Recipes in Markdown: one per "# " heading, with "## Ingredients" and
+     * "## Instructions" (or Method, Directions) sections
+     */
+    parseMarkdown(text) {
+        return text
+            .split(/^(?=# )/m)
+            .filter(block => /^# \S/.test(block))
+            .map(block => {
+                const parts = { name: '', image: '', category: '', cuisine: '', tags: '', source: '', video: '', servings: '', ingredients: [], steps: [] };
+                let section = null;
+
+                block.split(/\r?\n/).forEach(rawLine => {
+                    const line = rawLine.trim();
+                    if (!line || /^(-{3,}|\*{3,})$/.test(line)) return;
+
+                    if (line.startsWith('# ')) {
+                        parts.name = line.slice(2).trim();
+                    } else if (line.startsWith('#')) {
+                        const heading = line.replace(/^#+\s*/, '');
+                        section = Object.keys(this.sectionPatterns).find(key => this.sectionPatterns[key].test(heading)) || null;
+                    } else if (/^!\[(?:\\.|[^\]\\])*\]\(([^)]+)\)$/.test(line)) {
+                        parts.image = line.match(/\(([^)]+)\)$/)[1];
+                    } else if (section) {
+                        const item = line.replace(/^(?:[-*•+]|\d+[.)])\s+/, '');
+                        parts[section === 'ingredients' ? 'ingredients' : 'steps'].push(item);
+                    } else {
+                        this.readMetaLine(line.replace(/^(\*\*|__)(.+?)\1/, '$2'), parts);
+                    }
+                });
+
+                return parts;
+            })
+            .filter(parts => parts.name)
+            .map(parts => this.fromParts(parts));
+    }
+
+    /**
+     * Pick up "Cuisine: Italian" style lines before the first section
+     */
+    readMetaLine(line, parts) {
+        const match = line.match(/^(category|cuisine|serves|servings|yield|tags|source|video)\s*:\s*(.+)$/i);
+        if (!match) return;
+
+        const key = match[1].toLowerCase();
+        const fields = { serves: 'servings', yield: 'servings' };
+        parts[fields[key] || key] = match[2].trim();
+    }
+
+    /**
+     * Build a MealDB-shaped recipe from parsed parts
+     */
+    fromParts(parts) {
+        const servings = parseInt(String(parts.servings).match(/\d+/)?.[0], 10);
+
+        const recipe = {
+            strMeal: parts.name.trim(),
+            strMealThumb: this.safeUrl(parts.image, { image: true }),
+            strCategory: parts.category || '',
+            strArea: parts.cuisine || '',
+            strTags: parts.tags || '',
+            strSource: this.safeUrl(parts.source),
+            strYoutube: this.safeUrl(parts.video),
+            strInstructions: parts.steps.filter(Boolean).join('\r\n'),
+            // Not a MealDB field; imported recipes keep their stated yield
+            strServings: servings > 0 ? String(servings) : ''
+        };
+
+        parts.ingredients.filter(Boolean).slice(0, 20).forEach((line, index) => {
+            const { name, measure } = this.splitIngredient(line);
+            recipe[`strIngredient${index + 1}`] = name;
+            recipe[`strMeasure${index + 1}`] = measure;
+        });
+
+        return recipe;
+    }
+
+    /**
+     * Split an ingredient line into { name, measure }: a leading quantity and
+     * unit ("2 tbsp olive oil"), else a trailing ", to taste" style note
+     */
+    splitIngredient(line) {
+        const parsed = this.measureParser.parse(line);
+
+        if (parsed.scalable && parsed.descriptor) {
+            const name = parsed.descriptor.replace(/^of\s+/i, '');
+            return { name, measure: line.slice(0, line.length - parsed.descriptor.length).trim() };
+        }
+
+        const comma = line.lastIndexOf(',');
+        if (comma > 0) {
+            return { name: line.slice(0, comma).trim(), measure: line.slice(comma + 1).trim() };
+        }
+
+        return { name: line.trim(), measure: '' };
+    }
+
+    /**
+     * A link or photo URL that is safe to follow: http(s), or an inline
+     * data:image/ for photos. Anything else (javascript:, relative) is ''.
+     */
+    safeUrl(value, { image = false } = {}) {
+        const url = String(value || '').trim();
+        if (/^https?:\/\//i.test(url)) return url;
+        if (image && /^data:image\//i.test(url)) return url;
+        return '';
+    }
+
+    /**
+     * First image URL from a JSON-LD image value
+     */
+    getImageUrl(image) {
+        if (!image) return '';
+        if (typeof image === 'string') return image;
+        if (Array.isArray(image)) return this.getImageUrl(image[0]);
+        return image.url || image.contentUrl || '';
+    }
+
+    /**
+     * Text from a JSON-LD value that may be a string, number, list or object
+     */
+    readText(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) return value.map(item => this.readText(item)).filter(Boolean).join(', ');
+        if (typeof value === 'object') return this.readText(value.name || value.text || value['@value'] || '');
+        return String(value).trim();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeFormats;
+}
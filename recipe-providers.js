@@ -0,0 +1,314 @@
+/**
+ * Recipe Providers
+ * Data sources the app talks to. Every provider implements:
+ *   searchByIngredient(ingredient) -> meal summaries ({ idMeal, strMeal, strMealThumb })
+ *   lookup(id)                     -> full meal or null
+ *   random()                       -> full meal or null
+ *   searchByName(name, { signal }) -> full meals; an aborted signal cancels the request
+ *   filterByCategory(category)     -> meal summaries
+ *   filterByArea(area)             -> meal summaries
+ *   listCategories()               -> category names
+ *   listAreas()                    -> area names
+ *   listIngredients()              -> ingredient names
+ * Meals use TheMealDB field shape (strIngredient1..20, strMeasure1..20, ...).
+ */
+
+class MealDbProvider {
+    constructor(options = {}) {
+        this.baseUrl = options.baseUrl || 'https://www.themealdb.com/api/json/v1/1';
+        this.endpoints = {
+            filterByIngredient: '/filter.php?i=',
+            getRecipeDetails: '/lookup.php?i=',
+            getRandomRecipe: '/random.php',
+            searchByName: '/search.php?s=',
+            filterByCategory: '/filter.php?c=',
+            filterByArea: '/filter.php?a=',
+            listCategories: '/list.php?c=list',
+            listAreas: '/list.php?a=list',
+            listIngredients: '/list.php?i=list',
+            ...options.endpoints
+        };
+
+        // Injected so callers can route requests through a cache
+        this.fetchJson = options.fetchJson || (async (url, { errorMessage, signal } = {}) => {
+            const response = await fetch(url, { signal });
+            if (!response.ok) throw new Error(errorMessage || 'Request failed');
+            return response.json();
+        });
+
+        this.ttl = {
+            filter: 0,
+            lookup: 0,
+            list: 0,
+            ...options.ttl
+        };
+    }
+
+    /**
+     * Request an endpoint and return its meals array
+     */
+    async request(endpoint, value, ttl, errorMessage, signal) {
+        const query = value === undefined ? '' : encodeURIComponent(value);
+        const data = await this.fetchJson(`${this.baseUrl}${endpoint}${query}`, { ttl, errorMessage, signal });
+        return data.meals || [];
+    }
+
+    async searchByIngredient(ingredient) {
+        return this.request(this.endpoints.filterByIngredient, ingredient, this.ttl.filter,
+            `Failed to fetch recipes for ${ingredient}`);
+    }
+
+    async lookup(id) {
+        const meals = await this.request(this.endpoints.getRecipeDetails, id, this.ttl.lookup,
+            'Failed to fetch recipe details');
+        return meals[0] || null;
+    }
+
+    async random() {
+        const meals = await this.request(this.endpoints.getRandomRecipe, undefined, 0,
+            'Failed to fetch random recipe');
+        return meals[0] || null;
+    }
+
+    async searchByName(name, { signal } = {}) {
+        return this.request(this.endpoints.searchByName, name, this.ttl.filter,
+            `Failed to search for ${name}`, signal);
+    }
+
+    async filterByCategory(category) {
+        return this.request(this.endpoints.filterByCategory, category, this.ttl.filter,
+            `Failed to fetch category ${category}`);
+    }
+
+    async filterByArea(area) {
+        return this.request(this.endpoints.filterByArea, area, this.ttl.filter,
+            `Failed to fetch area ${area}`);
+    }
+
+    async listCategories() {
+        const meals = await this.request(this.endpoints.listCategories, undefined, this.ttl.list,
+            'Failed to fetch categories');
+        return meals.map(meal => meal.strCategory).filter(Boolean);
+    }
+
+    async listAreas() {
+        const meals = await this.request(this.endpoints.listAreas, undefined, this.ttl.list,
+            'Failed to fetch areas');
+        return meals.map(meal => meal.strArea).filter(Boolean);
+    }
+
+    async listIngredients() {
+        const meals = await this.request(this.endpoints.listIngredients, undefined, this.ttl.list,
+            'Failed to fetch ingredients');
+        return meals.map(meal => meal.strIngredient).filter(Boolean);
+    }
+}
+
+class LocalRecipeProvider {
+    /**
+     * `meals` is an array of MealDB-shaped meals; alternatively `url` points
+     * at a JSON file holding either that array or { meals: [...] }
+     */
+    constructor(options = {}) {
+        if (!options.meals && !options.url) {
+            throw new Error('LocalRecipeProvider needs either `meals` or a `url`');
+        }
+
+        this.meals = options.meals || null;
+        this.url = options.url || null;
+        this.loading = null;
+    }
+
+    /**
+     * Load the dataset once
+     */
+    async load() {
+        if (this.meals) return this.meals;
+
+        if (!this.loading) {
+            this.loading = fetch(this.url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to load recipes from ${this.url}`);
+                    return response.json();
+                })
+                .then(data => {
+                    this.meals = Array.isArray(data) ? data : (data.meals || []);
+                    return this.meals;
+                })
+                .catch(error => {
+                    this.loading = null;
+                    throw error;
+                });
+        }
+
+        return this.loading;
+    }
+
+    /**
+     * Reduce a meal to the fields filter.php returns
+     */
+    summarize(meal) {
+        return { idMeal: meal.idMeal, strMeal: meal.strMeal, strMealThumb: meal.strMealThumb };
+    }
+
+    /**
+     * Ingredient names of a meal, lowercased
+     */
+    ingredientsOf(meal) {
+        const names = [];
+        for (let i = 1; i <= 20; i++) {
+            const name = meal[`strIngredient${i}`];
+            if (name && name.trim()) names.push(name.trim().toLowerCase());
+        }
+        return names;
+    }
+
+    /**
+     * Case-insensitive equality on an optional field
+     */
+    fieldEquals(value, expected) {
+        return (value || '').toLowerCase() === expected.toLowerCase();
+    }
+
+    /**
+     * Sorted unique values of a field
+     */
+    uniqueValues(meals, field) {
+        return [...new Set(meals.map(meal => meal[field]).filter(Boolean))].sort();
+    }
+
+    async searchByIngredient(ingredient) {
+        const term = ingredient.trim().toLowerCase();
+        const meals = await this.load();
+        return meals
+            .filter(meal => this.ingredientsOf(meal).some(name => name === term || name.includes(term)))
+            .map(meal => this.summarize(meal));
+    }
+
+    async lookup(id) {
+        const meals = await this.load();
+        return meals.find(meal => String(meal.idMeal) === String(id)) || null;
+    }
+
+    async random() {
+        const meals = await this.load();
+        return meals.length ? meals[Math.floor(Math.random() * meals.length)] : null;
+    }
+
+    async searchByName(name) {
+        const term = name.trim().toLowerCase();
+        const meals = await this.load();
+        return meals.filter(meal => (meal.strMeal || '').toLowerCase().includes(term));
+    }
+
+    async filterByCategory(category) {
+        const meals = await this.load();
+        return meals
+            .filter(meal => this.fieldEquals(meal.strCategory, category))
+            .map(meal => this.summarize(meal));
+    }
+
+    async filterByArea(area) {
+        const meals = await this.load();
+        return meals
+            .filter(meal => this.fieldEquals(meal.strArea, area))
+            .map(meal => this.summarize(meal));
+    }
+
+    async listCategories() {
+        return this.uniqueValues(await this.load(), 'strCategory');
+    }
+
+    async listAreas() {
+        return this.uniqueValues(await this.load(), 'strArea');
+    }
+
+    async listIngredients() {
+        const meals = await this.load();
+        return [...new Set(meals.flatMap(meal => this.ingredientsOf(meal)))].sort();
+    }
+}
+
+class CombinedRecipeProvider {
+    /**
+     * Searches several providers as one, e.g. the user's own recipes next to
+     * MealDB. The last provider is the main data source.
+     */
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * Run a method on every provider and concatenate the results. A failing
+     * provider is skipped, so the user's own recipes still work offline;
+     * only when every provider fails (or one was aborted) does this throw.
+     */
+    async collect(method, ...args) {
+        const results = await Promise.allSettled(this.providers.map(provider => provider[method](...args)));
+        const fulfilled = results.filter(result => result.status === 'fulfilled');
+        const failures = results.filter(result => result.status === 'rejected').map(result => result.reason);
+
+        // A cancelled request cancels the whole call
+        const aborted = failures.find(error => error && error.name === 'AbortError');
+        if (aborted) throw aborted;
+        if (fulfilled.length === 0) throw failures[0];
+
+        failures.forEach(error => console.error(`Recipe provider ${method} failed:`, error));
+
+        return fulfilled.flatMap(result => result.value);
+    }
+
+    /**
+     * Sorted union of name lists, ignoring case. Later providers' spelling
+     * wins, so MealDB's "Chicken" replaces a custom recipe's "chicken".
+     */
+    async union(method) {
+        const names = new Map();
+        (await this.collect(method)).forEach(name => names.set(name.toLowerCase(), name));
+        return [...names.values()].sort((a, b) => a.localeCompare(b));
+    }
+
+    async searchByIngredient(ingredient) {
+        return this.collect('searchByIngredient', ingredient);
+    }
+
+    async lookup(id) {
+        for (const provider of this.providers) {
+            const meal = await provider.lookup(id);
+            if (meal) return meal;
+        }
+        return null;
+    }
+
+    async random() {
+        return this.providers[this.providers.length - 1].random();
+    }
+
+    async searchByName(name, options) {
+        return this.collect('searchByName', name, options);
+    }
+
+    async filterByCategory(category) {
+        return this.collect('filterByCategory', category);
+    }
+
+    async filterByArea(area) {
+        return this.collect('filterByArea', area);
+    }
+
+    async listCategories() {
+        return this.union('listCategories');
+    }
+
+    async listAreas() {
+        return this.union('listAreas');
+    }
+
+    async listIngredients() {
+        return this.union('listIngredients');
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MealDbProvider, LocalRecipeProvider, CombinedRecipeProvider };
+}
@@ -0,0 +1,295 @@
+/**
+ * Shopping List
+ * Merges recipe ingredients into an aisle-grouped, checkable list
+ */
+
+class ShoppingList {
+    constructor(measureParser, unitConverter, normalizer, items = []) {
+        this.measureParser = measureParser;
+        this.unitConverter = unitConverter;
+        // Matches aisle keywords as whole words, so "pecans" isn't a "can"
+        this.normalizer = normalizer;
+        this.items = items;
+
+        // Store aisles in walking order. The keyword ending last in the name
+        // wins, then the longest, so "black pepper" lands in spices while
+        // "pepper" stays in produce and "chicken stock" is a pantry item.
+        this.aisles = [
+            ['Produce', [
+                'apple', 'avocado', 'banana', 'basil', 'bean sprout', 'broccoli', 'cabbage', 'carrot',
+                'cauliflower', 'celery', 'chilli', 'chili', 'coriander', 'cilantro', 'courgette', 'cucumber',
+                'aubergine', 'eggplant', 'garlic', 'ginger', 'kale', 'leek', 'lemon', 'lettuce', 'lime',
+                'mint', 'mushroom', 'onion', 'orange', 'parsley', 'pepper', 'pineapple', 'potato', 'pumpkin', 'rosemary',
+                'scallion', 'shallot', 'spinach', 'squash', 'thyme', 'tomato', 'zucchini', 'berries', 'blueberries',
+                'raspberries', 'strawberries', 'pea'
+            ]],
+            ['Meat & Seafood', [
+                'bacon', 'beef', 'chicken', 'chorizo', 'cod', 'duck', 'fish', 'ham', 'lamb', 'mince',
+                'mussel', 'pork', 'prawn', 'salmon', 'sausage', 'shrimp', 'steak', 'tuna', 'turkey', 'veal'
+            ]],
+            ['Dairy & Eggs', [
+                'butter', 'cheese', 'cheddar', 'cream', 'creme fraiche', 'egg', 'feta', 'milk', 'mozzarella',
+                'parmesan', 'ricotta', 'yogurt', 'yoghurt'
+            ]],
+            ['Bakery', ['bread', 'bun', 'baguette', 'pitta', 'pita', 'tortilla', 'wrap', 'naan']],
+            ['Spices & Seasonings', [
+                'cinnamon', 'cumin', 'curry', 'nutmeg', 'oregano', 'paprika', 'salt', 'spice', 'turmeric',
+                'bay leaf', 'bay leaves', 'cardamom', 'allspice', 'garam masala', 'seasoning', 'peppercorn',
+                'black pepper', 'white pepper', 'cayenne', 'chilli powder', 'chili powder',
+                'chilli flakes', 'garlic powder', 'onion powder'
+            ]],
+            ['Pantry', [
+                'flour', 'sugar', 'rice', 'pasta', 'spaghetti', 'noodle', 'oil', 'vinegar', 'sauce', 'stock',
+                'honey', 'oats', 'lentil', 'chickpea', 'bean', 'tin', 'can', 'paste', 'mustard', 'yeast',
+                'baking', 'cocoa', 'chocolate', 'nut', 'almond', 'walnut', 'pecan', 'peanut',
+                'cashew', 'hazelnut', 'coconut', 'cream of tartar', 'syrup', 'wine', 'breadcrumb',
+                'peanut butter', 'chicken stock', 'beef stock', 'vegetable stock', 'tomato puree'
+            ]],
+            ['Frozen', ['frozen', 'ice cream']]
+        ];
+        this.defaultAisle = 'Other';
+    }
+
+    /**
+     * Add a recipe's ingredients. `ingredients` are { name, parsed } pairs;
+     * `isOnHand(name)` skips anything the user already has.
+     * Returns the number of ingredients added.
+     */
+    addRecipe(recipeName, ingredients, isOnHand = () => false) {
+        let added = 0;
+
+        ingredients.forEach(({ name, parsed }) => {
+            if (isOnHand(name)) return;
+            this.addItem(name, parsed, recipeName);
+            added++;
+        });
+
+        return added;
+    }
+
+    /**
+     * Add one ingredient, merging it into an existing item when possible
+     */
+    addItem(name, parsed, recipeName = '') {
+        const key = this.getKey(name);
+        let item = this.items.find(existing => existing.key === key);
+
+        if (!item) {
+            item = {
+                key,
+                name: name.trim(),
+                aisle: this.getAisle(name),
+                amounts: [],
+                notes: [],
+                recipes: [],
+                checked: false
+            };
+            this.items.push(item);
+        }
+
+        if (recipeName && !item.recipes.includes(recipeName)) {
+            item.recipes.push(recipeName);
+        }
+
+        // A new amount means the item needs buying again
+        item.checked = false;
+
+        if (parsed && parsed.scalable) {
+            this.mergeAmount(item, parsed);
+        } else if (parsed && parsed.original && !item.notes.includes(parsed.original)) {
+            item.notes.push(parsed.original);
+        }
+
+        return item;
+    }
+
+    /**
+     * Sum an amount into the first existing amount with a compatible unit,
+     * pack size and descriptor ("2 x 400g tins" and "1 onion, chopped"
+     * stay apart from plain tins and onions)
+     */
+    mergeAmount(item, parsed) {
+        const quantity = parsed.maxQuantity !== null ? parsed.maxQuantity : parsed.quantity;
+
+        for (const amount of item.amounts) {
+            const ratio = this.getRatio(parsed, amount);
+            if (ratio !== null) {
+                amount.quantity += quantity * ratio;
+                return;
+            }
+        }
+
+        item.amounts.push({
+            quantity,
+            unit: parsed.unit,
+            unitLabel: parsed.unit ? parsed.unit : this.getCountLabel(parsed.unitLabel),
+            packSize: parsed.packSize || null,
+            descriptor: parsed.descriptor
+        });
+    }
+
+    /**
+     * Multiplier to express `parsed` in the amount's unit, or null when incompatible
+     */
+    getRatio(parsed, amount) {
+        const samePack = (parsed.packSize ? parsed.packSize.original : '') ===
+            (amount.packSize ? amount.packSize.original : '');
+        const sameDescriptor = parsed.descriptor.toLowerCase() === (amount.descriptor || '').toLowerCase();
+        if (!samePack || !sameDescriptor) return null;
+
+        if (!parsed.unit || !amount.unit) {
+            const sameCount = !parsed.unit && !amount.unit &&
+                this.getCountLabel(parsed.unitLabel) === this.getCountLabel(amount.unitLabel);
+            return sameCount ? 1 : null;
+        }
+
+        const from = this.unitConverter.unitInfo[parsed.unit];
+        const to = this.unitConverter.unitInfo[amount.unit];
+        if (!from || !to || from.type !== to.type) return null;
+        return from.size / to.size;
+    }
+
+    /**
+     * Count label compared and stored in one form, so "tins" adds to "tin"
+     */
+    getCountLabel(label) {
+        return this.measureParser.singularCount(label) || label.toLowerCase();
+    }
+
+    /**
+     * Key used to spot duplicate ingredients ("Tomatoes" and "tomato")
+     */
+    getKey(name) {
+        return name.toLowerCase().trim()
+            .replace(/\s+/g, ' ')
+            .replace(/oes$/, 'o')
+            .replace(/ies$/, 'y')
+            .replace(/([^s])s$/, '$1');
+    }
+
+    /**
+     * Pick the store aisle for an ingredient
+     */
+    getAisle(name) {
+        const key = ` ${this.normalizer.toKey(name)} `;
+        let best = null;
+
+        this.aisles.forEach(([aisle, keywords]) => {
+            keywords.forEach(keyword => {
+                const phrase = ` ${this.normalizer.toKey(keyword)} `;
+                const start = key.lastIndexOf(phrase);
+                if (start === -1) return;
+
+                const end = start + phrase.length;
+                if (!best || end > best.end || (end === best.end && phrase.length > best.length)) {
+                    best = { aisle, end, length: phrase.length };
+                }
+            });
+        });
+
+        return best ? best.aisle : this.defaultAisle;
+    }
+
+    /**
+     * Toggle an item's checked state
+     */
+    toggle(key) {
+        const item = this.items.find(existing => existing.key === key);
+        if (item) item.checked = !item.checked;
+    }
+
+    /**
+     * Remove an item
+     */
+    remove(key) {
+        this.items = this.items.filter(item => item.key !== key);
+    }
+
+    /**
+     * Remove every checked item
+     */
+    clearChecked() {
+        this.items = this.items.filter(item => !item.checked);
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.items = [];
+    }
+
+    /**
+     * Items grouped by aisle in store order
+     */
+    grouped() {
+        const order = [...this.aisles.map(([aisle]) => aisle), this.defaultAisle];
+
+        return order
+            .map(aisle => ({
+                aisle,
+                items: this.items
+                    .filter(item => item.aisle === aisle)
+                    .sort((a, b) => a.name.localeCompare(b.name))
+            }))
+            .filter(group => group.items.length > 0);
+    }
+
+    /**
+     * Describe an item's quantity, e.g. "500g + 2 cans"
+     */
+    formatAmount(item) {
+        const amounts = item.amounts.map(amount => this.measureParser.format({
+            scalable: true,
+            quantity: amount.quantity,
+            maxQuantity: null,
+            unit: amount.unit,
+            unitLabel: amount.unitLabel,
+            packSize: amount.packSize || null,
+            alternate: null,
+            descriptor: amount.descriptor || ''
+        }));
+
+        return amounts.join(' + ');
+    }
+
+    /**
+     * Describe an item for display and export, e.g. "500g Chicken" or "Salt (pinch)"
+     */
+    formatItem(item) {
+        const notes = item.notes.length ? `(${item.notes.join(', ')})` : '';
+        return [this.formatAmount(item), item.name, notes].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Export as plain text
+     */
+    toText() {
+        return this.grouped().map(({ aisle, items }) =>
+            [aisle.toUpperCase(), ...items.map(item => `${item.checked ? '[x]' : '[ ]'} ${this.formatItem(item)}`)]
+                .join('\n')
+        ).join('\n\n');
+    }
+
+    /**
+     * Export as a Markdown task list
+     */
+    toMarkdown() {
+        const sections = this.grouped().map(({ aisle, items }) =>
+            [`## ${aisle}`, '', ...items.map(item => `- [${item.checked ? 'x' : ' '}] ${this.formatItem(item)}`)]
+                .join('\n')
+        );
+        return ['# Shopping list', '', ...sections].join('\n\n').replace(/\n{3,}/g, '\n\n');
+    }
+
+    /**
+     * Serialize for localStorage
+     */
+    toJSON() {
+        return this.items;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoppingList;
+}
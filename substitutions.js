@@ -0,0 +1,167 @@
+/**
+ * Substitution Guide
+ * Common ingredient swaps with quantity ratios
+ */
+
+class SubstitutionGuide {
+    constructor(normalizer) {
+        // Shared key and phrase matching, so "Eggs" finds the egg entry
+        this.normalizer = normalizer;
+
+        // `ratio` multiplies the original quantity; `except` lists names that
+        // contain the ingredient but aren't it ("peanut butter" isn't butter)
+        this.entries = [
+            {
+                ingredient: 'buttermilk',
+                options: [
+                    { name: 'milk + lemon juice', note: '1 tbsp lemon juice per cup of milk, rested 5 minutes' },
+                    { name: 'yogurt thinned with milk', note: '3 parts yogurt to 1 part milk' }
+                ]
+            },
+            {
+                ingredient: 'egg',
+                except: ['egg white', 'egg yolk', 'egg noodle'],
+                options: [
+                    { name: 'flax egg', note: '1 tbsp ground flaxseed + 3 tbsp water per egg, rested 5 minutes' },
+                    { name: 'mashed banana', note: '¼ cup per egg; best in sweet bakes' }
+                ]
+            },
+            {
+                ingredient: 'butter',
+                except: ['peanut butter', 'almond butter', 'cocoa butter', 'butter bean'],
+                options: [
+                    { name: 'vegetable oil', ratio: 0.75, note: 'Use ¾ as much oil' },
+                    { name: 'coconut oil' }
+                ]
+            },
+            {
+                ingredient: 'milk',
+                except: ['coconut milk', 'almond milk', 'oat milk', 'soy milk', 'condensed milk', 'evaporated milk'],
+                options: [
+                    { name: 'oat milk' },
+                    { name: 'soy milk' }
+                ]
+            },
+            {
+                ingredient: 'double cream',
+                options: [
+                    { name: 'coconut cream' },
+                    { name: 'milk + melted butter', note: '¾ milk to ¼ butter; won\'t whip' }
+                ]
+            },
+            {
+                ingredient: 'sour cream',
+                options: [{ name: 'greek yogurt' }]
+            },
+            {
+                ingredient: 'creme fraiche',
+                options: [{ name: 'sour cream' }, { name: 'greek yogurt' }]
+            },
+            {
+                ingredient: 'yogurt',
+                options: [{ name: 'coconut yogurt' }, { name: 'sour cream' }]
+            },
+            {
+                ingredient: 'parmesan',
+                options: [
+                    { name: 'pecorino' },
+                    { name: 'nutritional yeast', ratio: 0.5, note: 'Dairy-free; use half as much' }
+                ]
+            },
+            {
+                ingredient: 'self raising flour',
+                options: [{ name: 'plain flour + baking powder', note: '2 tsp baking powder per 150g flour' }]
+            },
+            {
+                ingredient: 'plain flour',
+                options: [{ name: 'gluten-free flour blend' }]
+            },
+            {
+                ingredient: 'breadcrumb',
+                options: [{ name: 'rolled oats' }, { name: 'crushed cornflakes' }]
+            },
+            {
+                ingredient: 'cornflour',
+                options: [{ name: 'plain flour', ratio: 2, note: 'Use twice as much to thicken' }]
+            },
+            {
+                ingredient: 'baking powder',
+                options: [{ name: 'bicarbonate of soda + cream of tartar', note: '¼ tsp bicarb + ½ tsp cream of tartar per tsp' }]
+            },
+            {
+                ingredient: 'soy sauce',
+                options: [{ name: 'tamari', note: 'Gluten-free' }, { name: 'coconut aminos' }]
+            },
+            {
+                ingredient: 'fish sauce',
+                options: [{ name: 'soy sauce + lime juice', note: '2 parts soy to 1 part lime' }]
+            },
+            {
+                ingredient: 'honey',
+                options: [{ name: 'maple syrup' }, { name: 'agave syrup' }]
+            },
+            {
+                ingredient: 'brown sugar',
+                options: [{ name: 'white sugar + molasses', note: '1 tbsp molasses per cup of sugar' }]
+            },
+            {
+                ingredient: 'caster sugar',
+                options: [{ name: 'granulated sugar', note: 'Blitz briefly to make it finer' }]
+            },
+            {
+                ingredient: 'wine',
+                except: ['wine vinegar'],
+                options: [{ name: 'stock + splash of vinegar' }]
+            },
+            {
+                ingredient: 'lemon juice',
+                options: [{ name: 'lime juice' }, { name: 'white wine vinegar', ratio: 0.5 }]
+            },
+            {
+                ingredient: 'chicken stock',
+                options: [{ name: 'vegetable stock' }]
+            },
+            {
+                ingredient: 'beef stock',
+                options: [{ name: 'vegetable stock' }, { name: 'mushroom stock' }]
+            },
+            {
+                ingredient: 'minced beef',
+                options: [{ name: 'cooked green lentils' }, { name: 'minced turkey' }]
+            },
+            {
+                ingredient: 'chicken',
+                options: [{ name: 'firm tofu' }, { name: 'chickpeas' }]
+            },
+            {
+                ingredient: 'mayonnaise',
+                options: [{ name: 'greek yogurt' }]
+            },
+            {
+                ingredient: 'shallot',
+                options: [{ name: 'onion', ratio: 0.5, note: 'Half an onion per shallot' }]
+            }
+        ];
+    }
+
+    /**
+     * Substitutes for an ingredient as { name, ratio, note }. The most specific
+     * entry wins, so "chicken stock" doesn't get the "chicken" swaps.
+     */
+    find(ingredient) {
+        const key = this.normalizer.toKey(ingredient);
+        const has = (term) => this.normalizer.containsPhrase(key, this.normalizer.toKey(term));
+
+        const entry = this.entries
+            .filter(candidate => has(candidate.ingredient) && !(candidate.except || []).some(has))
+            .sort((a, b) => b.ingredient.length - a.ingredient.length)[0];
+
+        return entry
+            ? entry.options.map(option => ({ ratio: 1, note: '', ...option }))
+            : [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SubstitutionGuide;
+}
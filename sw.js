@@ -0,0 +1,112 @@
+/**
+ * Recipe Finder Service Worker
+ * Precaches the app shell and keeps recipe images available offline.
+ * API responses are cached by ApiCache in IndexedDB, not here.
+ */
+
+const SHELL_CACHE = 'recipe-finder-shell-v9';
+const RUNTIME_CACHE = 'recipe-finder-runtime-v1';
+// Opaque image responses count heavily against the storage quota, so only
+// the most recent ones are kept
+const RUNTIME_CACHE_LIMIT = 150;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'api-cache.js',
+    'recipe-providers.js',
+    'measure-parser.js',
+    'unit-converter.js',
+    'time-estimator.js',
+    'nutrition-estimator.js',
+    'ingredient-normalizer.js',
+    'ingredient-autocomplete.js',
+    'dietary-profile.js',
+    'substitutions.js',
+    'recipe-formats.js',
+    'kitchen-timers.js',
+    'shopping-list.js',
+    'meal-planner.js',
+    'pantry.js',
+    'app.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // API calls go straight to the network; the app caches them itself
+    if (url.pathname.includes('/api/json/')) return;
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+    } else if (url.hostname.endsWith('themealdb.com') || url.hostname.includes('fonts.g')) {
+        event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+    }
+});
+
+/**
+ * Serve from cache and refresh it in the background
+ */
+async function staleWhileRevalidate(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached);
+
+    return cached || network;
+}
+
+/**
+ * Serve from cache, fetching and storing on a miss. Opaque responses can't
+ * be checked for errors, so they are stored too and count against the limit.
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone())
+            .then(() => trimCache(cache, RUNTIME_CACHE_LIMIT))
+            .catch(() => {});
+    }
+    return response;
+}
+
+/**
+ * Delete the oldest entries until the cache holds at most `maxEntries`
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
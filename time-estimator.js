@@ -0,0 +1,206 @@
+/**
+ * Cooking Time Estimator
+ * Deterministic cooking-time estimates from MealDB recipe instructions
+ */
+
+class CookingTimeEstimator {
+    constructor(options = {}) {
+        // Bucket boundaries used by the cooking time filter (minutes)
+        this.buckets = {
+            quick: options.quick || 30,
+            medium: options.medium || 60
+        };
+
+        // Minutes assumed for vague phrases
+        this.vagueDurations = {
+            overnight: 480,
+            several: 3,
+            few: 3,
+            couple: 2
+        };
+
+        this.wordNumbers = {
+            a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+            seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+            fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, sixty: 60
+        };
+
+        this.unicodeFractions = { '½': 0.5, '¼': 0.25, '¾': 0.75, '⅓': 1 / 3, '⅔': 2 / 3 };
+
+        const number = [
+            '\\d+(?:[.,]\\d+)?(?:\\s+\\d+\\/\\d+|\\s*[½¼¾⅓⅔])?',
+            '\\d+\\/\\d+',
+            '[½¼¾⅓⅔]',
+            'forty-five',
+            ...Object.keys(this.wordNumbers).filter(word => word !== 'forty-five'),
+            'several', 'few', 'couple(?:\\s+of)?'
+        ].join('|');
+
+        this.durationPattern = new RegExp(
+            `\\b(?:(half\\s+an?\\s+hour)|(overnight)|(?:a\\s+)?(${number})` +
+            `(?:\\s*(?:-|–|to|or)\\s*(${number}))?` +
+            `\\s*(?:(and\\s+a\\s+half)\\s+)?` +
+            `(hours?|hrs?|h|minutes?|mins?|seconds?|secs?)(?:\\s+(and\\s+a\\s+half))?)\\b`,
+            'gi'
+        );
+    }
+
+    /**
+     * Estimate the total cooking time for a full recipe
+     */
+    estimate(recipe) {
+        const instructions = recipe.strInstructions || '';
+        const ingredientCount = this.countIngredients(recipe);
+        const durations = this.parseDurations(instructions);
+
+        let minutes;
+        let source;
+
+        if (durations.length > 0) {
+            const cooking = durations.reduce((total, duration) => total + duration.max, 0);
+            // Prep work is rarely written down, so allow a little per ingredient
+            minutes = cooking + Math.min(ingredientCount, 15);
+            source = 'instructions';
+        } else {
+            const steps = this.countSteps(instructions);
+            minutes = 10 + steps * 5 + ingredientCount * 1.5;
+            source = 'heuristic';
+        }
+
+        minutes = Math.max(5, Math.round(minutes / 5) * 5);
+
+        return {
+            minutes,
+            source,
+            bucket: this.getBucket(minutes)
+        };
+    }
+
+    /**
+     * Find duration phrases in free text. Each match reports the lower and
+     * upper bound in minutes, the matched text and its position.
+     */
+    parseDurations(text) {
+        const durations = [];
+        if (!text) return durations;
+
+        this.durationPattern.lastIndex = 0;
+        let match;
+
+        while ((match = this.durationPattern.exec(text)) !== null) {
+            const [matched, halfHour, overnight, from, to, halfBefore, unit, halfAfter] = match;
+            let min;
+            let max;
+
+            if (halfHour) {
+                min = max = 30;
+            } else if (overnight) {
+                min = max = this.vagueDurations.overnight;
+            } else {
+                const multiplier = this.unitToMinutes(unit);
+                const extra = halfBefore || halfAfter ? 0.5 : 0;
+                const low = this.parseNumber(from);
+                const high = to ? this.parseNumber(to) : low;
+
+                if (low === null || high === null) continue;
+
+                min = (Math.min(low, high) + extra) * multiplier;
+                max = (Math.max(low, high) + extra) * multiplier;
+            }
+
+            durations.push({
+                text: matched,
+                index: match.index,
+                min,
+                max
+            });
+        }
+
+        return durations;
+    }
+
+    /**
+     * Convert a duration unit to minutes
+     */
+    unitToMinutes(unit) {
+        const normalized = unit.toLowerCase();
+        if (normalized.startsWith('h')) return 60;
+        if (normalized.startsWith('s')) return 1 / 60;
+        return 1;
+    }
+
+    /**
+     * Parse a numeric, fractional or spelled-out quantity
+     */
+    parseNumber(value) {
+        const normalized = value.toLowerCase().trim().replace(/\s+of$/, '');
+
+        if (normalized in this.wordNumbers) return this.wordNumbers[normalized];
+        if (normalized in this.vagueDurations) return this.vagueDurations[normalized];
+
+        let total = 0;
+        const parts = normalized.replace(/([½¼¾⅓⅔])/, ' $1').trim().split(/\s+/);
+
+        for (const part of parts) {
+            if (part in this.unicodeFractions) {
+                total += this.unicodeFractions[part];
+            } else if (part.includes('/')) {
+                const [numerator, denominator] = part.split('/').map(Number);
+                if (!denominator) return null;
+                total += numerator / denominator;
+            } else {
+                const number = parseFloat(part.replace(',', '.'));
+                if (isNaN(number)) return null;
+                total += number;
+            }
+        }
+
+        return total;
+    }
+
+    /**
+     * Count instruction steps, falling back to sentences for single-paragraph text
+     */
+    countSteps(instructions) {
+        const lines = instructions.split(/\r?\n/).filter(line => line.trim());
+        if (lines.length > 2) return lines.length;
+
+        return instructions.split(/[.!?]+\s/).filter(sentence => sentence.trim()).length;
+    }
+
+    /**
+     * Count the filled strIngredientN fields
+     */
+    countIngredients(recipe) {
+        let count = 0;
+        for (let i = 1; i <= 20; i++) {
+            const ingredient = recipe[`strIngredient${i}`];
+            if (ingredient && ingredient.trim()) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Map minutes to the quick/medium/long filter buckets
+     */
+    getBucket(minutes) {
+        if (minutes < this.buckets.quick) return 'quick';
+        if (minutes <= this.buckets.medium) return 'medium';
+        return 'long';
+    }
+
+    /**
+     * Format minutes for display
+     */
+    format(minutes) {
+        if (minutes < 60) return `${Math.round(minutes)} min`;
+
+        const hours = Math.floor(minutes / 60);
+        const rest = Math.round(minutes % 60);
+        return rest ? `${hours} h ${rest} min` : `${hours} h`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CookingTimeEstimator;
+}
@@ -0,0 +1,126 @@
+/**
+ * Unit Converter
+ * Converts parsed measures between metric and US customary units
+ */
+
+class UnitConverter {
+    constructor() {
+        // Size of each unit in grams (mass) or millilitres (volume)
+        this.unitInfo = {
+            g: { type: 'mass', size: 1 },
+            kg: { type: 'mass', size: 1000 },
+            oz: { type: 'mass', size: 28.3495 },
+            lb: { type: 'mass', size: 453.592 },
+            ml: { type: 'volume', size: 1 },
+            l: { type: 'volume', size: 1000 },
+            tsp: { type: 'volume', size: 4.929 },
+            tbsp: { type: 'volume', size: 14.787 },
+            cup: { type: 'volume', size: 236.588 },
+            'fl oz': { type: 'volume', size: 29.574 },
+            pint: { type: 'volume', size: 473.176 },
+            quart: { type: 'volume', size: 946.353 }
+        };
+
+        // Grams per millilitre for staples usually measured by volume.
+        // More specific names come first so "brown sugar" wins over "sugar".
+        this.densities = [
+            ['icing sugar', 0.51],
+            ['powdered sugar', 0.51],
+            ['brown sugar', 0.93],
+            ['caster sugar', 0.85],
+            ['flour', 0.53],
+            ['sugar', 0.85],
+            ['butter', 0.96],
+            ['rice', 0.78],
+            ['oats', 0.38],
+            ['honey', 1.42],
+            ['cocoa', 0.42]
+        ];
+
+        this.systems = ['original', 'metric', 'imperial'];
+    }
+
+    /**
+     * Convert a parsed measure to a unit system. Returns the measure
+     * unchanged when it has no known unit or can't be converted.
+     */
+    convert(parsed, system, ingredientName = '') {
+        if (!parsed.scalable || !parsed.unit || system === 'original') return parsed;
+
+        const info = this.unitInfo[parsed.unit];
+        if (!info) return parsed;
+
+        const density = this.getDensity(ingredientName);
+        const target = system === 'metric'
+            ? this.pickMetricUnit(parsed.unit, info, density)
+            : this.pickImperialUnit(parsed.quantity * info.size, info, density);
+
+        if (!target || target.unit === parsed.unit) return parsed;
+
+        const ratio = this.getRatio(info, this.unitInfo[target.unit], density);
+        if (ratio === null) return parsed;
+
+        return {
+            ...parsed,
+            unit: target.unit,
+            unitLabel: target.unit,
+            // The converted amount replaces any "450g/1lb" style second measure
+            alternate: null,
+            quantity: parsed.quantity * ratio,
+            maxQuantity: parsed.maxQuantity !== null ? parsed.maxQuantity * ratio : null
+        };
+    }
+
+    /**
+     * Metric target: grams for weights and staples, millilitres for other
+     * volumes. Spoon measures are shared by both systems and stay as written.
+     */
+    pickMetricUnit(unit, info, density) {
+        if (info.type === 'mass') return { unit: 'g' };
+        if (density) return { unit: 'g' };
+        if (unit === 'tsp' || unit === 'tbsp') return null;
+        return { unit: 'ml' };
+    }
+
+    /**
+     * US customary target chosen by size: cups and spoons for volumes and
+     * staples, ounces and pounds for other weights
+     */
+    pickImperialUnit(baseAmount, info, density) {
+        if (info.type === 'mass' && !density) {
+            return { unit: baseAmount >= this.unitInfo.lb.size ? 'lb' : 'oz' };
+        }
+
+        const millilitres = info.type === 'mass' ? baseAmount / density : baseAmount;
+        if (millilitres >= this.unitInfo.cup.size / 4) return { unit: 'cup' };
+        if (millilitres >= this.unitInfo.tbsp.size) return { unit: 'tbsp' };
+        return { unit: 'tsp' };
+    }
+
+    /**
+     * Multiplier from one unit to another, crossing mass and volume with a density
+     */
+    getRatio(from, to, density) {
+        if (from.type === to.type) return from.size / to.size;
+        if (!density) return null;
+
+        return from.type === 'volume'
+            ? (from.size * density) / to.size
+            : from.size / density / to.size;
+    }
+
+    /**
+     * Find the density for an ingredient whose name ends in a known staple
+     */
+    getDensity(ingredientName) {
+        const name = ingredientName.toLowerCase().trim();
+        const entry = this.densities.find(([staple]) =>
+            name === staple || name.endsWith(` ${staple}`) || name === `${staple}s`
+        );
+        return entry ? entry[1] : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnitConverter;
+}